@@ -6,6 +6,7 @@ const cors = require('cors');
 const mongoose = require('mongoose');
 const swagger = require('./swagger');
 const auth = require('./middleware/auth')
+const { expireAttempts } = require('./utils/attempts')
 
 require('dotenv').config();
 
@@ -13,6 +14,7 @@ require('dotenv').config();
 const indexRouter = require('./routes/index');
 const usersRouter = require('./routes/users');
 const classesRouter = require('./routes/classes');
+const questionsRouter = require('./routes/questions');
 
 
 
@@ -30,7 +32,7 @@ const app = express();
 )()
 
 app.use(logger('dev'));
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: false }));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(cors())
@@ -38,6 +40,7 @@ app.use(cors())
 // app.use('/', indexRouter);
 app.use('/api/user', usersRouter);
 app.use('/api/classes', auth, classesRouter)
+app.use('/api/questions', auth, questionsRouter)
 app.use('/api-docs', swagger.serve, swagger.setup);
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, './public', 'index.html'));
@@ -57,4 +60,10 @@ app.use(function(err, req, res, next) {
 
 app.listen(process.env.PORT, ()=>{console.log('server is running on port '+process.env.PORT)})
 
+// submit attempts whose time ran out, even if the student never comes back
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  expireAttempts().catch((error) => console.error(error));
+}, 60 * 1000).unref();
+
 module.exports = app;
@@ -0,0 +1,23 @@
+const multer = require('multer');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+/**
+ * Accepts an optional single file in the `field` form field and keeps it in
+ * memory as `req.file`. Requests that are not multipart pass through.
+ */
+const uploadFile = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
+module.exports = uploadFile;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { renderRichText, renderInlineRichText } = require('../utils/richText');
 
 
 const teacherSchema = new mongoose.Schema({
@@ -20,24 +21,201 @@ const studentSchema = new mongoose.Schema({
 
 
 const optionSchema = new mongoose.Schema({
+    // Markdown with LaTeX math, see utils/richText.js
     option_text: { type: String, required: true },
+    // sanitized rendering of option_text, kept up to date on validation
+    option_html: { type: String },
     is_correct: { type: Boolean, required: true },
+    // shown in the review when this option was picked, e.g. why a distractor is wrong
+    feedback: { type: String },
+    // images or files uploaded to the quiz, see utils/media.js
+    media: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Media' }],
 });
+optionSchema.pre('validate', function () {
+    if (this.isModified('option_text') || this.option_html == null) {
+        this.option_html = renderInlineRichText(this.option_text);
+    }
+});
+
+// Expected answer of a "numeric" question
+const numericAnswerSchema = new mongoose.Schema({
+    value: { type: Number, required: true },
+    tolerance: { type: Number, default: 0, min: 0 },
+    tolerance_type: { type: String, enum: ['absolute', 'relative'], default: 'absolute' },
+    unit: { type: String },
+}, { _id: false });
+
+// Expected answer of a "short_text" question
+const textAnswerSchema = new mongoose.Schema({
+    accepted_answers: {
+        type: [String],
+        validate: {
+            validator: function (answers) { return answers.length > 0 || !!this.pattern; },
+            message: 'short_text questions need accepted_answers or a pattern',
+        },
+    },
+    case_sensitive: { type: Boolean, default: false },
+    normalize_whitespace: { type: Boolean, default: true },
+    // matched against the whole answer, e.g. "colou?r"
+    pattern: {
+        type: String,
+        validate: {
+            validator: (pattern) => {
+                try {
+                    new RegExp(pattern);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            },
+            message: 'Invalid regular expression',
+        },
+    },
+}, { _id: false });
 
 const questionSchema = new mongoose.Schema({
+    // Markdown with LaTeX math, see utils/richText.js
     question_text: { type: String, required: true },
+    // sanitized rendering of question_text, kept up to date on validation
+    question_html: { type: String },
+    question_type: { type: String, enum: ['choice', 'numeric', 'short_text', 'essay'], default: 'choice' },
     options: [optionSchema],
-    is_multiple_choice: { type: Boolean, default: false }
+    is_multiple_choice: { type: Boolean, default: false },
+    points: { type: Number, default: 1, min: 0 },
+    // shown in the review once it is released
+    explanation: { type: String },
+    numeric_answer: {
+        type: numericAnswerSchema,
+        required: function () { return this.question_type === 'numeric'; },
+    },
+    text_answer: {
+        type: textAnswerSchema,
+        required: function () { return this.question_type === 'short_text'; },
+    },
+    // questions sharing a pool are drawn from at random, see quiz.randomization
+    pool: { type: String, trim: true },
+    // set when the question was pulled from a teacher's question bank
+    bank_question_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BankQuestion' },
+    // images or files uploaded to the quiz, see utils/media.js
+    media: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Media' }],
+});
+questionSchema.pre('validate', function () {
+    if (this.isModified('question_text') || this.question_html == null) {
+        this.question_html = renderRichText(this.question_text);
+    }
 });
 
+// Reusable question owned by a teacher, copied into quizzes on demand
+const bankQuestionSchema = questionSchema.clone();
+// media belong to a quiz
+bankQuestionSchema.remove(['bank_question_id', 'pool', 'media']);
+bankQuestionSchema.add({
+    teacher_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+    tags: [{ type: String, trim: true, lowercase: true }],
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'] },
+});
+bankQuestionSchema.set('timestamps', true);
+bankQuestionSchema.index({ teacher_id: 1, tags: 1 });
+
+// How answers are turned into points, see utils/calculateResult.js
+const scoringPolicySchema = new mongoose.Schema({
+    mode: { type: String, enum: ['all_or_nothing', 'partial'], default: 'all_or_nothing' },
+    negative_marking: { type: Boolean, default: false },
+    // fraction of the question points removed for a wrong answer
+    penalty: { type: Number, default: 0.25, min: 0, max: 1 }
+}, { _id: false });
+
+// Per-student variants, see utils/quizVariant.js
+const randomizationSchema = new mongoose.Schema({
+    shuffle_questions: { type: Boolean, default: false },
+    shuffle_options: { type: Boolean, default: false },
+    // draw N questions of a pool for every student, pools not listed here are used whole
+    pools: [{
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        draw: { type: Number, required: true, min: 0 },
+    }],
+}, { _id: false });
+
+// How many times a student may submit and which attempt counts
+const attemptPolicySchema = new mongoose.Schema({
+    max_attempts: { type: Number, default: 1, min: 1 },
+    // minutes to wait between two submissions
+    cooldown_minutes: { type: Number, default: 0, min: 0 },
+    grade: { type: String, enum: ['best', 'last', 'average'], default: 'best' },
+}, { _id: false });
+
+// When students get their score and the full review of their answers
+const releasePolicySchema = new mongoose.Schema({
+    score: { type: String, enum: ['immediately', 'after_close', 'on_date', 'never'], default: 'immediately' },
+    review: { type: String, enum: ['immediately', 'after_close', 'on_date', 'never'], default: 'after_close' },
+    // used by "on_date"
+    release_date: { type: Date },
+}, { _id: false });
+
+// Submissions after the quiz window, see utils/latePolicy.js
+const latePolicySchema = new mongoose.Schema({
+    // minutes after the window that still count as on time
+    grace_minutes: { type: Number, default: 0, min: 0 },
+    // minutes after the grace period in which late submissions are accepted
+    late_window_minutes: { type: Number, default: 0, min: 0 },
+    penalty_type: { type: String, enum: ['none', 'percent_per_minute', 'percent_per_hour', 'flat'], default: 'none' },
+    // percent of the points possible per minute or hour, or points for "flat"
+    penalty: { type: Number, default: 0, min: 0 },
+    // cap in percent, or in points for "flat"
+    max_penalty: { type: Number, min: 0 },
+}, { _id: false });
+
+// Decision taken on a flawed question when regrading, see utils/regrade.js
+const gradingOverrideSchema = new mongoose.Schema({
+    question_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    // full_credit gives every student the points, drop removes the question from the total
+    action: { type: String, enum: ['full_credit', 'drop'], required: true },
+}, { _id: false });
+
 const quizSchema = new mongoose.Schema({
     quiz_name: { type: String},
     class_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Class'},
     start_date: { type: Date},
     duration: { type: Number},
-    questions: [questionSchema]
+    questions: [questionSchema],
+    scoring_policy: { type: scoringPolicySchema, default: () => ({}) },
+    randomization: { type: randomizationSchema, default: () => ({}) },
+    attempt_policy: { type: attemptPolicySchema, default: () => ({}) },
+    release_policy: { type: releasePolicySchema, default: () => ({}) },
+    late_policy: { type: latePolicySchema, default: () => ({}) },
+    // lifecycle set by the teacher, see utils/quizLifecycle.js; quizzes
+    // created before the lifecycle existed were visible and count as published
+    status: { type: String, enum: ['draft', 'published', 'closed', 'archived'], default: 'published' },
+    published_at: { type: Date },
+    closed_at: { type: Date },
+    archived_at: { type: Date },
+    // apply to every version of the quiz and to later submissions
+    grading_overrides: [gradingOverrideSchema],
+    // bumped by edits made once students have answered the quiz
+    version: { type: Number, default: 1 },
+    // quiz this one was copied from, see utils/quizCopy.js
+    copied_from: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz' },
 });
 
+// Immutable copy of a quiz as it was before an edit, so that answers
+// given to that version can still be graded and reviewed
+const quizVersionSchema = new mongoose.Schema({
+    quiz_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+    version: { type: Number, required: true },
+    quiz_name: { type: String },
+    start_date: { type: Date },
+    duration: { type: Number },
+    questions: [questionSchema],
+    scoring_policy: { type: scoringPolicySchema },
+    randomization: { type: randomizationSchema },
+    attempt_policy: { type: attemptPolicySchema },
+    release_policy: { type: releasePolicySchema },
+    late_policy: { type: latePolicySchema },
+    created_at: { type: Date, default: Date.now },
+});
+quizVersionSchema.index({ quiz_id: 1, version: 1 }, { unique: true });
+
 const classSchema = new mongoose.Schema({
     class_name: { type: String, required: true },
     teacher_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
@@ -45,23 +223,137 @@ const classSchema = new mongoose.Schema({
     quizzes: [quizSchema],
 });
 
+// Questions, in order, that one student gets for a randomized quiz
+const quizVariantSchema = new mongoose.Schema({
+    quiz_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    attempt: { type: Number, default: 1 },
+    seed: { type: String, required: true },
+    questions: [{
+        _id: false,
+        question_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+        option_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Option' }],
+    }],
+    created_at: { type: Date, default: Date.now },
+});
+quizVariantSchema.index({ quiz_id: 1, student_id: 1, attempt: 1 }, { unique: true });
+
+const answerSchema = new mongoose.Schema({
+    question_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Question'},
+    selected_options: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Option' }],
+    // free answer of numeric, short_text and essay questions
+    answer: { type: String },
+});
+
 const studentResponseSchema = new mongoose.Schema({
     student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Student'},
     quiz_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz'},
-    responses: [
-        {
-            question_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Question'},
-            selected_options: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Option' }],
-        },
-    ],
+    variant_id: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizVariant' },
+    attempt: { type: Number, default: 1 },
+    // version of the quiz the answers were given to
+    quiz_version: { type: Number, default: 1 },
+    submitted_at: { type: Date, default: Date.now },
+    responses: [answerSchema],
 });
 
+// An attempt started by a student, timed by the server from started_at
+const quizAttemptSchema = new mongoose.Schema({
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    quiz_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+    attempt: { type: Number, default: 1 },
+    quiz_version: { type: Number, default: 1 },
+    variant_id: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizVariant' },
+    started_at: { type: Date, default: Date.now },
+    // null when the quiz has no duration
+    expires_at: { type: Date },
+    status: { type: String, enum: ['in_progress', 'submitted', 'auto_submitted'], default: 'in_progress' },
+    // started after the grace period, see utils/latePolicy.js
+    late_minutes: { type: Number, default: 0 },
+    // answers saved so far, submitted automatically when time runs out
+    responses: [answerSchema],
+    response_id: { type: mongoose.Schema.Types.ObjectId, ref: 'StudentResponse' },
+});
+quizAttemptSchema.index({ quiz_id: 1, student_id: 1, attempt: 1 }, { unique: true });
+quizAttemptSchema.index({ status: 1, expires_at: 1 });
+
+// File uploaded to a quiz and shown with its questions or options
+const mediaSchema = new mongoose.Schema({
+    class_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Class', required: true },
+    quiz_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+    uploaded_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },
+    original_name: { type: String },
+    mime_type: { type: String, required: true },
+    size: { type: Number, required: true },
+    // where the storage backend keeps the file
+    storage_key: { type: String, required: true },
+    created_at: { type: Date, default: Date.now },
+});
+mediaSchema.index({ quiz_id: 1 });
+
+// Timing a student gets instead of the quiz-wide one, see utils/quizWindow.js
+const accommodationSchema = new mongoose.Schema({
+    quiz_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    // attempt duration = quiz duration * duration_multiplier + extra_minutes
+    duration_multiplier: { type: Number, min: 1, default: 1 },
+    extra_minutes: { type: Number, min: 0, default: 0 },
+    // alternate window to start the quiz in, replaces the quiz start_date and window end
+    start_date: { type: Date },
+    end_date: {
+        type: Date,
+        validate: {
+            validator(value) { return !this.start_date || value > this.start_date; },
+            message: 'end_date must be after start_date',
+        },
+    },
+    extra_attempts: { type: Number, min: 0, default: 0 },
+    // the quiz does not count for the student, see utils/gradebook.js
+    excused: { type: Boolean, default: false },
+    note: { type: String },
+}, { timestamps: true });
+accommodationSchema.index({ quiz_id: 1, student_id: 1 }, { unique: true });
+
+const questionResultSchema = new mongoose.Schema({
+    question_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+    points_awarded: { type: Number, default: 0 },
+    points_possible: { type: Number, default: 0 },
+    is_correct: { type: Boolean, default: false },
+    // essay answers wait in the grading queue until a teacher scores them
+    needs_grading: { type: Boolean, default: false },
+    comment: { type: String },
+    graded_at: { type: Date },
+    // grading override applied to the question, if any
+    override: { type: String, enum: ['full_credit', 'drop'] },
+}, { _id: false });
+
 const studentResultSchema = new mongoose.Schema({
     student_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
     quiz_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz' },
     score: { type: Number, required: true },
     submitted_at: { type: Date, default: Date.now },
-    out_of:{type:Number}
+    out_of:{type:Number},
+    breakdown: [questionResultSchema],
+    // provisional while some answers still need manual grading
+    status: { type: String, enum: ['provisional', 'final'], default: 'final' },
+    response_id: { type: mongoose.Schema.Types.ObjectId, ref: 'StudentResponse' },
+    variant_id: { type: mongoose.Schema.Types.ObjectId, ref: 'QuizVariant' },
+    attempt: { type: Number, default: 1 },
+    // version of the quiz the result was graded against
+    quiz_version: { type: Number, default: 1 },
+    // scores the result had before each regrade
+    score_history: [{
+        _id: false,
+        score: { type: Number },
+        out_of: { type: Number },
+        status: { type: String },
+        changed_at: { type: Date, default: Date.now },
+        reason: { type: String },
+    }],
+    regraded_at: { type: Date },
+    // submitted after the grace period; score already has late_penalty taken off
+    late: { type: Boolean, default: false },
+    late_minutes: { type: Number, default: 0 },
+    late_penalty: { type: Number, default: 0 },
 });
 
 const Class = mongoose.model('Class', classSchema);
@@ -72,5 +364,11 @@ const Quiz = mongoose.model('Quiz', quizSchema);
 const Option = mongoose.model('Option', optionSchema);
 const StudentResponse = mongoose.model('StudentResponse', studentResponseSchema);
 const StudentResult = mongoose.model('StudentResult', studentResultSchema);
+const BankQuestion = mongoose.model('BankQuestion', bankQuestionSchema);
+const QuizVariant = mongoose.model('QuizVariant', quizVariantSchema);
+const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
+const QuizVersion = mongoose.model('QuizVersion', quizVersionSchema);
+const Accommodation = mongoose.model('Accommodation', accommodationSchema);
+const Media = mongoose.model('Media', mediaSchema);
 
-module.exports = { Class, Teacher, Student, Question, Quiz, Option, StudentResponse, StudentResult};
+module.exports = { Class, Teacher, Student, Question, Quiz, Option, StudentResponse, StudentResult, BankQuestion, QuizVariant, QuizAttempt, QuizVersion, Accommodation, Media};
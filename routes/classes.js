@@ -1,9 +1,53 @@
-const { Class, Teacher, Student, Quiz, StudentResponse, StudentResult} = require("../models/models");
-const calculateAndStoreResults = require("../utils/calculateResult")
+const { Class, Teacher, Student, Quiz, StudentResponse, StudentResult, QuizVariant, Accommodation, Media } = require("../models/models");
+const { summarize } = require("../utils/calculateResult")
+const { resolveBankQuestions } = require("../utils/questionBank")
+const { getOrCreateVariant, variantQuestions } = require("../utils/quizVariant")
+const {
+  nextAttempt,
+  findAccommodation,
+  effectiveGrade,
+  gradesByStudent,
+  studentKey,
+  isExpired,
+  findOpenAttempt,
+  finishAttempt,
+  attemptQuestions,
+  resumeAttempt,
+  startAttempt,
+  submitOpenAttempts,
+} = require("../utils/attempts")
+const { STATES, quizState, isVisibleToStudents, isEditable, startError, applyTransition } = require("../utils/quizLifecycle")
+const { storeSubmission, parseResponses, mergeResponses } = require("../utils/submission")
+const { audienceFor, serializeQuiz, serializeResult, serializeClass } = require("../utils/serializers")
+const { isReleased } = require("../utils/releasePolicy")
+const { lateMinutes, applyLatePenalty } = require("../utils/latePolicy")
+const { parseSchedule, copyQuiz } = require("../utils/quizCopy")
+const { checkUpload, storeMedia, readMedia, removeQuizMedia, referencedMedia, unknownMedia, duplicateMedia } = require("../utils/media")
+const { buildReview } = require("../utils/review")
+const { ANALYSIS_CSV_FIELDS, analyzeItems, loadSubmissions, analysisRows } = require("../utils/itemAnalysis")
+const { buildGradebook, sortGradebook, gradebookTable } = require("../utils/gradebook")
+const { questionHtml } = require("../utils/richText")
+const { prepareEdit, quizAtVersion, keepQuestionIds, listVersions, diffVersions } = require("../utils/quizVersions")
+const { parseOverrides, planRegrade, commitRegrade, describeChange } = require("../utils/regrade")
+const { detectFormat, importQuestions } = require("../utils/importers")
+const { buildQtiPackage } = require("../utils/exporters/qti")
+const { buildXlsx } = require("../utils/exporters/xlsx")
+const { MAX_VARIANTS, buildPaper, renderHtml, renderPdf } = require("../utils/printable")
+const uploadFile = require("../middleware/upload")
 const json2csv = require('json2csv').parse;
 const express = require("express");
 const router = express.Router();
 
+// What a student is told about their running attempt
+const serializeAttempt = (attempt) => ({
+  attempt: attempt.attempt,
+  started_at: attempt.started_at,
+  expires_at: attempt.expires_at || null,
+  remaining_seconds: attempt.expires_at
+    ? Math.max(0, Math.floor((attempt.expires_at - Date.now()) / 1000))
+    : null,
+});
+
 /**
  * @swagger
  * tags:
@@ -49,7 +93,7 @@ router.get("/", async (req, res) => {
     }
     classes = await Promise.all(
       classes.map(async (cls) => {
-        const classObject = cls.toObject();
+        const classObject = serializeClass(cls, audienceFor(user, cls));
         const teacher = await Teacher.findById(cls.teacher_id);
         const teacherobj = teacher.toObject();
         delete teacherobj["password"];
@@ -345,13 +389,21 @@ router.get("/:classId/students", async (req, res) => {
       return res.status(404).json({ error: "Class not found" });
     }
 
+    const isTeacher = audienceFor(decoded, myClass) === "teacher";
+    if (!isTeacher && !myClass.students.includes(decoded.id)) {
+      return res
+        .status(403)
+        .json({ error: "User is not authorized to access this class" });
+    }
+
     const students = await Promise.all(
       myClass.students.map(async (studentId) => {
         const student = await Student.findById(studentId);
+        // classmates only see each other's names
         return {
           id: student._id,
           name: student.full_name,
-          email: student.email,
+          email: isTeacher ? student.email : undefined,
           username: student.username,
         };
       })
@@ -378,6 +430,7 @@ router.get("/:classId/students", async (req, res) => {
  * /api/classes/{classId}/quizzes:
  *   post:
  *     summary: Create a new quiz in a class (for teachers)
+ *     description: New quizzes are drafts, invisible to students until published (see POST /lifecycle/{action}), unless created with status "published".
  *     tags: [Quizzes]
  *     security:
  *       - BearerAuth: []
@@ -402,6 +455,84 @@ router.get("/:classId/students", async (req, res) => {
  *                 format: date-time
  *               duration:
  *                 type: number
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 default: draft
+ *               scoring_policy:
+ *                 type: object
+ *                 properties:
+ *                   mode:
+ *                     type: string
+ *                     enum: [all_or_nothing, partial]
+ *                   negative_marking:
+ *                     type: boolean
+ *                   penalty:
+ *                     type: number
+ *                     description: Fraction of the question points removed for a wrong answer
+ *               attempt_policy:
+ *                 type: object
+ *                 properties:
+ *                   max_attempts:
+ *                     type: number
+ *                   cooldown_minutes:
+ *                     type: number
+ *                   grade:
+ *                     type: string
+ *                     enum: [best, last, average]
+ *               release_policy:
+ *                 type: object
+ *                 properties:
+ *                   score:
+ *                     type: string
+ *                     enum: [immediately, after_close, on_date, never]
+ *                   review:
+ *                     type: string
+ *                     enum: [immediately, after_close, on_date, never]
+ *                   release_date:
+ *                     type: string
+ *                     format: date-time
+ *               late_policy:
+ *                 type: object
+ *                 description: Submissions after the window; started hours count as whole hours
+ *                 properties:
+ *                   grace_minutes:
+ *                     type: number
+ *                     description: Minutes after the window that still count as on time
+ *                   late_window_minutes:
+ *                     type: number
+ *                     description: Minutes after the grace period in which late submissions are accepted
+ *                   penalty_type:
+ *                     type: string
+ *                     enum: [none, percent_per_minute, percent_per_hour, flat]
+ *                   penalty:
+ *                     type: number
+ *                     description: Percent of the points possible per minute or hour, or points for flat
+ *                   max_penalty:
+ *                     type: number
+ *                     description: Cap in percent, or in points for flat
+ *               randomization:
+ *                 type: object
+ *                 properties:
+ *                   shuffle_questions:
+ *                     type: boolean
+ *                   shuffle_options:
+ *                     type: boolean
+ *                   pools:
+ *                     type: array
+ *                     description: Draw a number of questions from each named pool for every student
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         draw:
+ *                           type: number
+ *               question_bank_ids:
+ *                 type: array
+ *                 description: IDs of question bank entries to copy into the quiz, after the inline questions
+ *                 items:
+ *                   type: string
  *               questions:
  *                 type: array
  *                 items:
@@ -409,6 +540,49 @@ router.get("/:classId/students", async (req, res) => {
  *                   properties:
  *                     question_text:
  *                       type: string
+ *                       description: Markdown with LaTeX math ($...$ or $$...$$), returned rendered to sanitized HTML as question_html
+ *                     question_type:
+ *                       type: string
+ *                       enum: [choice, numeric, short_text, essay]
+ *                     points:
+ *                       type: number
+ *                     pool:
+ *                       type: string
+ *                     is_multiple_choice:
+ *                       type: boolean
+ *                     numeric_answer:
+ *                       type: object
+ *                       properties:
+ *                         value:
+ *                           type: number
+ *                         tolerance:
+ *                           type: number
+ *                         tolerance_type:
+ *                           type: string
+ *                           enum: [absolute, relative]
+ *                         unit:
+ *                           type: string
+ *                     text_answer:
+ *                       type: object
+ *                       properties:
+ *                         accepted_answers:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         case_sensitive:
+ *                           type: boolean
+ *                         normalize_whitespace:
+ *                           type: boolean
+ *                         pattern:
+ *                           type: string
+ *                     explanation:
+ *                       type: string
+ *                       description: Shown to students in the review once it is released
+ *                     media:
+ *                       type: array
+ *                       description: IDs of files uploaded to the quiz, see POST /api/classes/{classId}/quizzes/{quizId}/media
+ *                       items:
+ *                         type: string
  *                     options:
  *                       type: array
  *                       items:
@@ -416,8 +590,16 @@ router.get("/:classId/students", async (req, res) => {
  *                         properties:
  *                           option_text:
  *                             type: string
+ *                             description: Markdown with LaTeX math, returned rendered to sanitized HTML as option_html
  *                           is_correct:
  *                             type: boolean
+ *                           feedback:
+ *                             type: string
+ *                             description: Shown in the review when the option was picked
+ *                           media:
+ *                             type: array
+ *                             items:
+ *                               type: string
  *     responses:
  *       200:
  *         description: Successful creation of a new quiz
@@ -426,12 +608,14 @@ router.get("/:classId/students", async (req, res) => {
  *             example:
  *               message: Quiz created successfully
  *               quiz: { quiz_name: "Math Quiz", class_id: "classId", start_date: "2024-01-20T12:00:00Z", duration: 60, questions: [...] }
+ *       400:
+ *         description: Start date in the past, invalid questions, question_bank_ids not an array or media references
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
  *         description: Forbidden - User is not a teacher
  *       404:
- *         description: Class not found
+ *         description: Class or question bank entry not found
  *       500:
  *         description: Internal Server Error
  */
@@ -445,7 +629,19 @@ router.post("/:classId/quizzes", async (req, res) => {
     }
 
     const { classId } = req.params;
-    const { quiz_name, start_date, duration, questions } = req.body;
+    const {
+      quiz_name,
+      start_date,
+      duration,
+      questions,
+      question_bank_ids,
+      scoring_policy,
+      randomization,
+      attempt_policy,
+      release_policy,
+      late_policy,
+      status = "draft",
+    } = req.body;
 
     const existingClass = await Class.findById(classId);
 
@@ -461,6 +657,10 @@ router.post("/:classId/quizzes", async (req, res) => {
         .json({ error: "User is not the teacher of this class" });
     }
 
+    if (status !== "draft" && status !== "published") {
+      return res.status(400).json({ error: "status must be draft or published" });
+    }
+
     // Validate start_date is in the future
     const now = new Date();
     const quizStartDate = new Date(start_date);
@@ -470,13 +670,29 @@ router.post("/:classId/quizzes", async (req, res) => {
         .status(400)
         .json({ error: "Quiz start date must be in the future" });
     }
+    const bankQuestions = await resolveBankQuestions(decoded.id, question_bank_ids);
+
+    // files are uploaded to an existing quiz, see POST .../media
+    if (referencedMedia(questions).length) {
+      return res
+        .status(400)
+        .json({ error: "Upload media after creating the quiz, then add them with an update" });
+    }
+
     // console.log(req.body)
     const newQuiz = await new Quiz({
       quiz_name,
       class_id: classId,
       start_date,
       duration,
-      questions,
+      questions: [...(questions || []), ...bankQuestions],
+      scoring_policy,
+      randomization,
+      attempt_policy,
+      release_policy,
+      late_policy,
+      status,
+      published_at: status === "published" ? now : undefined,
     });
 
     // console.log(newQuiz)
@@ -488,6 +704,10 @@ router.post("/:classId/quizzes", async (req, res) => {
       // console.log('Quiz saved successfully:', newQuiz);
     } catch (error) {
       console.error('Error saving quiz:', error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
     }
 
     res.json({ message: "Quiz created successfully", quiz: newQuiz });
@@ -495,6 +715,9 @@ router.post("/:classId/quizzes", async (req, res) => {
     if (error.name === "JsonWebTokenError") {
       return res.status(401).json({ error: "Invalid token" });
     }
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: "Internal Server Error" });
   }
@@ -502,9 +725,20 @@ router.post("/:classId/quizzes", async (req, res) => {
 
 /**
  * @swagger
- * /api/classes/{classId}/quizzes/{quizId}:
- *   patch:
- *     summary: Update a quiz in a class (for teachers)
+ * /api/classes/{classId}/quizzes/import:
+ *   post:
+ *     summary: Import questions from a file into a new or existing quiz (for teachers)
+ *     description: >
+ *       Reads Moodle GIFT, Moodle XML, QTI 2.1 packages and CSV or JSON
+ *       spreadsheets (see utils/importers/spreadsheet.js for the columns).
+ *       Without `quiz_id` a new quiz is created, otherwise the questions are
+ *       appended to that quiz. Questions that use unsupported constructs are
+ *       reported in `warnings`, questions that cannot be imported in `errors`,
+ *       both with their `position` (the row number for CSV files); the other
+ *       questions are imported. With `dry_run` the result is returned
+ *       without being saved. The name, duration and policies stored in a QTI
+ *       package are used for a new quiz unless given in the request. New
+ *       quizzes are created as drafts.
  *     tags: [Quizzes]
  *     security:
  *       - BearerAuth: []
@@ -515,19 +749,54 @@ router.post("/:classId/quizzes", async (req, res) => {
  *           type: string
  *         required: true
  *         description: The ID of the class
- *       - in: path
- *         name: quizId
- *         schema:
- *           type: string
- *         required: true
- *         description: The ID of the quiz
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: GIFT (.gift, .txt), Moodle XML (.xml), QTI 2.1 package (.zip), CSV (.csv) or JSON (.json) file, at most 5MB
+ *               format:
+ *                 type: string
+ *                 enum: [gift, moodle_xml, qti, csv, json]
+ *                 description: Guessed from the file when omitted
+ *               quiz_id:
+ *                 type: string
+ *                 description: Quiz of the class to append the questions to
+ *               quiz_name:
+ *                 type: string
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *               duration:
+ *                 type: number
+ *               dry_run:
+ *                 type: boolean
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
+ *               content:
+ *                 description: The file content, base64 encoded for QTI packages; the rows themselves for JSON
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: object
+ *               format:
+ *                 type: string
+ *                 enum: [gift, moodle_xml, qti, csv, json]
+ *                 description: >
+ *                   Guessed from content when omitted: rows or text starting
+ *                   with [ or { are JSON, a base64 zip is QTI, text starting
+ *                   with <?xml or <quiz is Moodle XML, text whose first line
+ *                   has a question_text column is CSV, anything else GIFT
+ *               quiz_id:
+ *                 type: string
  *               quiz_name:
  *                 type: string
  *               start_date:
@@ -535,41 +804,37 @@ router.post("/:classId/quizzes", async (req, res) => {
  *                 format: date-time
  *               duration:
  *                 type: number
- *               questions:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     question_text:
- *                       type: string
- *                     options:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           option_text:
- *                             type: string
- *                           is_correct:
- *                             type: boolean
+ *               dry_run:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Successful update of a quiz
+ *         description: Questions imported, or previewed when dry_run is set
  *         content:
  *           application/json:
  *             example:
- *               message: Quiz updated successfully
- *               quiz: { quiz_name: "Updated Math Quiz", class_id: "classId", start_date: "2024-01-20T12:00:00Z", duration: 60, questions: [...] }
+ *               message: Quiz imported successfully
+ *               dry_run: false
+ *               quiz: { quiz_name: "Moodle import", class_id: "classId", questions: [...] }
+ *               imported: 12
+ *               warnings:
+ *                 - position: 4
+ *                   title: "Match capitals"
+ *                   message: "Matching questions are not supported, item skipped"
+ *               errors:
+ *                 - position: 7
+ *                   message: "correct refers to option \"E\" which does not exist"
+ *       400:
+ *         description: Missing or unreadable file, unsupported format, no importable question or invalid quiz
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
- *         description: Forbidden - User is not a teacher
+ *         description: Forbidden - User is not the teacher of this class
  *       404:
  *         description: Class or quiz not found
  *       500:
  *         description: Internal Server Error
  */
-
-router.patch("/:classId/quizzes/:quizId", async (req, res) => {
+router.post("/:classId/quizzes/import", uploadFile("file"), async (req, res) => {
   try {
     const decoded = req.user;
 
@@ -577,8 +842,9 @@ router.patch("/:classId/quizzes/:quizId", async (req, res) => {
       return res.status(403).json({ error: "User is not a teacher" });
     }
 
-    const { classId, quizId } = req.params;
-    const { quiz_name, start_date, duration, questions } = req.body;
+    const { classId } = req.params;
+    const { quiz_id, quiz_name, start_date, duration } = req.body;
+    const dryRun = ["true", "1", true].includes(req.body.dry_run);
 
     const existingClass = await Class.findById(classId);
 
@@ -586,43 +852,90 @@ router.patch("/:classId/quizzes/:quizId", async (req, res) => {
       return res.status(404).json({ error: "Class not found" });
     }
 
-    const isTeacherOfClass = existingClass.teacher_id.equals(decoded.id);
-
-    if (!isTeacherOfClass) {
+    if (!existingClass.teacher_id.equals(decoded.id)) {
       return res
         .status(403)
         .json({ error: "User is not the teacher of this class" });
     }
 
-    const existingQuiz = await Quiz.findById(quizId);
+    // QTI packages are binary, JSON requests send them base64 encoded
+    let content = req.file ? req.file.buffer : req.body.content;
+    if (content && typeof content === "object" && !Buffer.isBuffer(content)) {
+      content = JSON.stringify(content);
+    }
 
-    if (!existingQuiz) {
-      return res.status(404).json({ error: "Quiz not found" });
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({ error: "No file to import" });
     }
 
-    // Validate start_date is in the future
-    const now = new Date();
-    const quizStartDate = new Date(start_date);
+    const format = req.body.format || detectFormat(req.file && req.file.originalname, req.file ? content : req.body.content);
+    const { questions, warnings, errors, quiz: settings } = importQuestions(format, content);
 
-    if (quizStartDate <= now) {
-      return res
-        .status(400)
-        .json({ error: "Quiz start date must be in the future" });
+    if (questions.length === 0) {
+      return res.status(400).json({ error: "No question could be imported", warnings, errors });
     }
 
-    // Update quiz details
-    existingQuiz.quiz_name = quiz_name;
-    existingQuiz.start_date = start_date;
-    existingQuiz.duration = duration;
-    existingQuiz.questions = questions;
+    let quiz;
+    if (quiz_id) {
+      quiz = await Quiz.findOne({ _id: quiz_id, class_id: classId });
 
-    await existingQuiz.save();
+      if (!quiz) {
+        return res.status(404).json({ error: "Quiz not found" });
+      }
 
-    res.json({ message: "Quiz updated successfully", quiz: existingQuiz });
+      if (!isEditable(quizState(quiz))) {
+        return res.status(400).json({ error: "Archived quizzes cannot be edited, unarchive the quiz first" });
+      }
+
+      if (!dryRun) await prepareEdit(quiz);
+      quiz.questions.push(...questions);
+    } else {
+      if (!dryRun && !(new Date(start_date) > new Date())) {
+        return res
+          .status(400)
+          .json({ error: "Quiz start date must be in the future" });
+      }
+
+      quiz = new Quiz({
+        ...settings,
+        quiz_name:
+          quiz_name || settings.quiz_name || (req.file ? req.file.originalname.replace(/\.[^.]+$/, "") : undefined),
+        class_id: classId,
+        start_date,
+        duration: duration ?? settings.duration,
+        questions,
+        // imported questions are reviewed before students see the quiz
+        status: "draft",
+      });
+    }
+
+    await quiz.validate();
+
+    if (!dryRun) {
+      await quiz.save();
+      if (!quiz_id) {
+        existingClass.quizzes.push(quiz._id);
+        await existingClass.save();
+      }
+    }
+
+    res.json({
+      message: dryRun
+        ? "Quiz import preview"
+        : quiz_id ? "Questions imported successfully" : "Quiz imported successfully",
+      dry_run: dryRun,
+      quiz,
+      imported: questions.length,
+      warnings,
+      errors,
+    });
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
       return res.status(401).json({ error: "Invalid token" });
     }
+    if (error.name === "ValidationError" || error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: "Internal Server Error" });
   }
@@ -630,9 +943,15 @@ router.patch("/:classId/quizzes/:quizId", async (req, res) => {
 
 /**
  * @swagger
- * /api/classes/{classId}/quizzes/{quizId}:
- *   get:
- *     summary: Get details of a quiz in a class
+ * /api/classes/{classId}/quizzes/copy:
+ *   post:
+ *     summary: Copy every quiz of a class into another class (for teachers)
+ *     description: >
+ *       Copies are drafts with the questions and settings of the originals
+ *       and none of their attempts, responses or results. With shift_days
+ *       the start and release dates move by that many days, otherwise the
+ *       copies are left unscheduled. Archived quizzes are skipped unless
+ *       include_archived is set.
  *     tags: [Quizzes]
  *     security:
  *       - BearerAuth: []
@@ -642,125 +961,100 @@ router.patch("/:classId/quizzes/:quizId", async (req, res) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: The ID of the class
- *       - in: path
- *         name: quizId
- *         schema:
- *           type: string
- *         required: true
- *         description: The ID of the quiz
+ *         description: The ID of the class to copy from
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [target_class_id]
+ *             properties:
+ *               target_class_id:
+ *                 type: string
+ *               shift_days:
+ *                 type: number
+ *               include_archived:
+ *                 type: boolean
+ *           example:
+ *             target_class_id: "otherClassId"
+ *             shift_days: 7
  *     responses:
- *       '200':
- *         description: Successful retrieval of quiz details
- *         content:
- *           application/json:
- *             example:
- *               quiz: 
- *                 quiz_name: "Math Quiz"
- *                 class_id: "classId"
- *                 start_date: "2024-01-20T12:00:00Z"
- *                 duration: 60
- *                 questions: [...]
- *       '401':
- *         description: Unauthorized - Invalid or missing token
- *         content:
- *           application/json:
- *             example:
- *               error: "Invalid token"
- *       '403':
- *         description: Forbidden - Only authenticated users can access this endpoint or user is not authorized to access this quiz
- *         content:
- *           application/json:
- *             example:
- *               error: "Forbidden - Only authenticated users can access this endpoint" 
- *       '404':
- *         description: Class or quiz not found
+ *       200:
+ *         description: Quizzes copied
  *         content:
  *           application/json:
  *             example:
- *               error: "Class not found" 
- *       '500':
+ *               message: "Quizzes copied successfully"
+ *               quizzes: [{ _id: "newQuizId", quiz_name: "Math Quiz", class_id: "otherClassId", status: "draft", copied_from: "quizId" }]
+ *       400:
+ *         description: Missing target class or invalid shift_days
+ *       403:
+ *         description: Forbidden - User is not the teacher of both classes
+ *       404:
+ *         description: Class not found
+ *       500:
  *         description: Internal Server Error
- *         content:
- *           application/json:
- *             example:
- *               error: "Internal Server Error"
  */
-router.get("/:classId/quizzes/:quizId", async (req, res) => {
+router.post("/:classId/quizzes/copy", async (req, res) => {
   try {
     const decoded = req.user;
+    const { classId } = req.params;
+    const { target_class_id, shift_days, include_archived } = req.body;
 
-    if (
-      !decoded ||
-      (decoded.role !== "teacher" && decoded.role !== "student")
-    ) {
-      return res
-        .status(403)
-        .json({
-          error:
-            "Forbidden - Only authenticated users can access this endpoint",
-        });
+    if (!target_class_id) {
+      return res.status(400).json({ error: "target_class_id is required" });
     }
 
-    const { classId, quizId } = req.params;
+    const { schedule, error } = parseSchedule({ shift_days });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    const myClass = await Class.findById(classId);
+    const [sourceClass, targetClass] = await Promise.all([Class.findById(classId), Class.findById(target_class_id)]);
 
-    if (!myClass) {
+    if (!sourceClass || !targetClass) {
       return res.status(404).json({ error: "Class not found" });
     }
 
-    const isTeacherOrStudentInClass =
-      myClass.teacher_id.equals(decoded.id) ||
-      myClass.students.includes(decoded.id);
-
-    if (!isTeacherOrStudentInClass) {
-      return res
-        .status(403)
-        .json({ error: "User is not authorized to access this quiz" });
+    if (audienceFor(decoded, sourceClass) !== "teacher" || audienceFor(decoded, targetClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of both classes" });
     }
 
-    const quiz = await Quiz.findById(quizId);
+    const quizzes = (await Quiz.find({ class_id: classId }))
+      .filter((quiz) => include_archived || quizState(quiz) !== "archived");
 
-    if (!quiz) {
-      return res.status(404).json({ error: "Quiz not found" });
-    }
-    if (decoded.role === "student") {
-      const endDate = new Date();
-      endDate.setMinutes(quiz.start_date.getMinutes() + quiz.duration);
-      const currentDate = new Date();// Convert duration to milliseconds
-      //fixed
-      if(!quiz){
-        return res.status(404).json({ error: "Quiz not found" });
-      }
-      if(!quiz || currentDate > quiz.start_date && currentDate > endDate){
-        return res.status(403).json({ error: "Forbidden - Quiz has already passed" });
-      }
-      if(!quiz || currentDate < quiz.start_date){
-        return res.status(403).json({ error: "Forbidden - Quiz has not started" });
-      }
-      const isStudentTakeExam = await StudentResponse.findOne({student_id:decoded.id, quiz_id:quizId});
-      if(isStudentTakeExam){
-        return res.status(403).json({ error: "Forbidden - Student has already taken the Quiz !" });
-      }
+    const copies = [];
+    for (const quiz of quizzes) {
+      const copy = copyQuiz(quiz, targetClass._id, schedule);
+      await duplicateMedia(copy, quiz);
+      await copy.save();
+      targetClass.quizzes.push(copy._id);
+      copies.push(copy);
     }
+    await targetClass.save();
 
-    res.json({ quiz });
+    res.json({ message: "Quizzes copied successfully", quizzes: copies });
   } catch (error) {
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid token" });
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ error: error.message });
     }
     console.error(error);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
-
 /**
  * @swagger
- * /api/classes/{classId}/quizzes:
- *   get:
- *     summary: Get a list of quizzes in a class
+ * /api/classes/{classId}/quizzes/{quizId}/copy:
+ *   post:
+ *     summary: Copy a quiz into one or more classes (for teachers)
+ *     description: >
+ *       Each copy is a draft with the questions and settings of the quiz
+ *       and none of its attempts, responses or results. start_date
+ *       schedules the copies, shift_days moves the start and release dates
+ *       by that many days; without either the copies are left unscheduled.
+ *       The target classes may include this class.
  *     tags: [Quizzes]
  *     security:
  *       - BearerAuth: []
@@ -771,43 +1065,1674 @@ router.get("/:classId/quizzes/:quizId", async (req, res) => {
  *           type: string
  *         required: true
  *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [target_class_ids]
+ *             properties:
+ *               target_class_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *               shift_days:
+ *                 type: number
+ *           example:
+ *             target_class_ids: ["sectionBId", "sectionCId"]
+ *             start_date: "2024-09-10T08:00:00Z"
  *     responses:
  *       200:
- *         description: Successful retrieval of quizzes
+ *         description: Quiz copied
  *         content:
  *           application/json:
  *             example:
- *               quizzes:
- *                 - quiz_name: "Math Quiz"
- *                   quiz_id: "quizId1"
- *                   start_date: "2024-01-20T12:00:00Z"
- *                   duration: 60
- *                 - quiz_name: "Science Quiz"
- *                   quiz_id: "quizId2"
- *                   start_date: "2024-01-21T14:00:00Z"
- *                   duration: 45
- *       401:
- *         description: Unauthorized - Invalid or missing token
+ *               message: "Quiz copied successfully"
+ *               quizzes: [{ _id: "newQuizId", quiz_name: "Math Quiz", class_id: "sectionBId", status: "draft", copied_from: "quizId" }]
+ *       400:
+ *         description: Missing target classes or invalid schedule
+ *       403:
+ *         description: Forbidden - User is not the teacher of every class
  *       404:
- *         description: Class not found
+ *         description: Class or quiz not found
  *       500:
  *         description: Internal Server Error
  */
-
-router.get("/:classId/quizzes", async (req, res) => {
+router.post("/:classId/quizzes/:quizId/copy", async (req, res) => {
   try {
     const decoded = req.user;
+    const { classId, quizId } = req.params;
+    const { target_class_ids } = req.body;
 
-    if (
-      !decoded ||
-      (decoded.role !== "teacher" && decoded.role !== "student")
-    ) {
-      return res
-        .status(403)
-        .json({
-          error:
-            "Forbidden - Only authenticated users can access this endpoint",
-        });
+    if (!Array.isArray(target_class_ids) || target_class_ids.length === 0) {
+      return res.status(400).json({ error: "target_class_ids must be a non-empty array" });
+    }
+
+    const { schedule, error } = parseSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const sourceClass = await Class.findById(classId);
+
+    if (!sourceClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    const targetIds = [...new Set(target_class_ids.map(String))];
+    const targetClasses = await Class.find({ _id: { $in: targetIds } });
+
+    if (targetClasses.length !== targetIds.length) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if ([sourceClass, ...targetClasses].some((cls) => audienceFor(decoded, cls) !== "teacher")) {
+      return res.status(403).json({ error: "User is not the teacher of every class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const copies = [];
+    for (const targetClass of targetClasses) {
+      const copy = copyQuiz(quiz, targetClass._id, schedule);
+      await duplicateMedia(copy, quiz);
+      await copy.save();
+      targetClass.quizzes.push(copy._id);
+      await targetClass.save();
+      copies.push(copy);
+    }
+
+    res.json({ message: "Quiz copied successfully", quizzes: copies });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/qti:
+ *   get:
+ *     summary: Download a quiz as an IMS QTI 2.1 content package (for teachers)
+ *     description: >
+ *       The zip can be imported again with `POST /api/classes/{classId}/quizzes/import`
+ *       and format `qti`, into this or another class.
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     responses:
+ *       200:
+ *         description: Successful download of the QTI package
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/quizzes/:quizId/qti", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId } = req.params;
+
+    const currentClass = await Class.findById(classId);
+
+    if (!currentClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, currentClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    res.setHeader("Content-Type", "application/zip");
+    res.attachment(`quiz_${quizId}_qti.zip`);
+    res.send(buildQtiPackage(quiz));
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/print:
+ *   get:
+ *     summary: Download a printable paper copy or answer key of a quiz (for teachers)
+ *     description: >
+ *       Renders numbered questions and lettered options under a header with
+ *       the class and quiz name. With `variants` greater than 1 every variant
+ *       (A, B, C, ...) gets its own shuffled copy, and its own key when
+ *       `document` is `key`. The same quiz and variant label always produce
+ *       the same paper. The HTML shows the rendered Markdown and math, the
+ *       PDF their plain text; uploaded media are left out and the questions
+ *       that have some say so.
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *       - in: query
+ *         name: document
+ *         schema:
+ *           type: string
+ *           enum: [quiz, key]
+ *           default: quiz
+ *         description: The questions or the answer key
+ *       - in: query
+ *         name: variants
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 26
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Successful download of the document
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format, document or number of variants
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/quizzes/:quizId/print", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId } = req.params;
+    const { format = "html", document = "quiz", variants = "1" } = req.query;
+    const variantCount = Number(variants);
+
+    if (!["html", "pdf"].includes(format) || !["quiz", "key"].includes(document)) {
+      return res.status(400).json({ error: "Invalid format or document" });
+    }
+
+    if (!Number.isInteger(variantCount) || variantCount < 1 || variantCount > MAX_VARIANTS) {
+      return res.status(400).json({ error: `variants must be between 1 and ${MAX_VARIANTS}` });
+    }
+
+    const currentClass = await Class.findById(classId);
+
+    if (!currentClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, currentClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const paper = buildPaper(quiz, currentClass, variantCount);
+    const key = document === "key";
+    const filename = `quiz_${quizId}${key ? "_key" : ""}.${format}`;
+
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.attachment(filename);
+      return res.send(await renderPdf(paper, { key }));
+    }
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+    res.send(renderHtml(paper, { key }));
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/versions:
+ *   get:
+ *     summary: List the versions of a quiz (for teachers)
+ *     description: A new version is started by every edit made after students started or submitted the quiz.
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     responses:
+ *       200:
+ *         description: Successful retrieval of the versions, oldest first
+ *         content:
+ *           application/json:
+ *             example:
+ *               versions:
+ *                 - version: 1
+ *                   created_at: "2024-01-20T12:00:00Z"
+ *                   quiz_name: "Math Quiz"
+ *                   question_count: 10
+ *                   submissions: 24
+ *                   current: false
+ *                 - version: 2
+ *                   quiz_name: "Math Quiz"
+ *                   question_count: 11
+ *                   submissions: 3
+ *                   current: true
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/quizzes/:quizId/versions", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId } = req.params;
+
+    const currentClass = await Class.findById(classId);
+
+    if (!currentClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, currentClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const submissions = await StudentResponse.aggregate([
+      { $match: { quiz_id: quiz._id } },
+      { $group: { _id: { $ifNull: ["$quiz_version", 1] }, count: { $sum: 1 } } },
+    ]);
+    const counts = new Map(submissions.map((entry) => [entry._id, entry.count]));
+
+    const versions = (await listVersions(quiz)).map((version) => ({
+      version: version.version,
+      created_at: version.created_at,
+      quiz_name: version.quiz_name,
+      question_count: version.questions.length,
+      submissions: counts.get(version.version) || 0,
+      current: Boolean(version.current),
+    }));
+
+    res.json({ versions });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/versions/diff:
+ *   get:
+ *     summary: Compare two versions of a quiz (for teachers)
+ *     description: Questions are matched by ID, then by text when an edit regenerated their ID.
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the current version
+ *     responses:
+ *       200:
+ *         description: Successful comparison
+ *         content:
+ *           application/json:
+ *             example:
+ *               diff:
+ *                 from: 1
+ *                 to: 2
+ *                 settings:
+ *                   - field: duration
+ *                     from: 30
+ *                     to: 45
+ *                 questions:
+ *                   added: [{ question_id: "questionId", question_text: "3 + 3" }]
+ *                   removed: []
+ *                   changed:
+ *                     - question_id: "questionId"
+ *                       previous_question_id: "oldQuestionId"
+ *                       question_text: "2 + 2"
+ *                       fields: ["options"]
+ *                   reordered: false
+ *       400:
+ *         description: Invalid version numbers
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class, quiz or version not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/quizzes/:quizId/versions/diff", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId } = req.params;
+
+    const currentClass = await Class.findById(classId);
+
+    if (!currentClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, currentClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const from = Number(req.query.from);
+    const to = req.query.to === undefined ? quiz.version || 1 : Number(req.query.to);
+
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ error: "from and to must be version numbers" });
+    }
+
+    const versions = new Map((await listVersions(quiz)).map((version) => [version.version, version]));
+
+    if (!versions.has(from) || !versions.has(to)) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    res.json({ diff: diffVersions(versions.get(from), versions.get(to)) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a quiz (for teachers)
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *       - in: path
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Successful retrieval of the version
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class, quiz or version not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/quizzes/:quizId/versions/:version", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId } = req.params;
+
+    const currentClass = await Class.findById(classId);
+
+    if (!currentClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, currentClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const version = (await listVersions(quiz)).find((item) => item.version === Number(req.params.version));
+
+    if (!version) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    res.json({ version });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}:
+ *   patch:
+ *     summary: Update a quiz in a class (for teachers)
+ *     description: >
+ *       Once students have started or submitted the quiz, the current version
+ *       is kept as an immutable snapshot and the edit starts a new version, so
+ *       earlier answers are still graded and reviewed against the questions
+ *       they were given. Fields left out are not changed. Questions and
+ *       options keep their IDs when sent with them, or when their text is
+ *       unchanged, so a corrected answer key applies to earlier answers on
+ *       regrade.
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quiz_name:
+ *                 type: string
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Must be in the future when changed
+ *               duration:
+ *                 type: number
+ *               scoring_policy:
+ *                 type: object
+ *                 properties:
+ *                   mode:
+ *                     type: string
+ *                     enum: [all_or_nothing, partial]
+ *                   negative_marking:
+ *                     type: boolean
+ *                   penalty:
+ *                     type: number
+ *                     description: Fraction of the question points removed for a wrong answer
+ *               attempt_policy:
+ *                 type: object
+ *                 properties:
+ *                   max_attempts:
+ *                     type: number
+ *                   cooldown_minutes:
+ *                     type: number
+ *                   grade:
+ *                     type: string
+ *                     enum: [best, last, average]
+ *               release_policy:
+ *                 type: object
+ *                 properties:
+ *                   score:
+ *                     type: string
+ *                     enum: [immediately, after_close, on_date, never]
+ *                   review:
+ *                     type: string
+ *                     enum: [immediately, after_close, on_date, never]
+ *                   release_date:
+ *                     type: string
+ *                     format: date-time
+ *               late_policy:
+ *                 type: object
+ *                 description: Submissions after the window; started hours count as whole hours
+ *                 properties:
+ *                   grace_minutes:
+ *                     type: number
+ *                     description: Minutes after the window that still count as on time
+ *                   late_window_minutes:
+ *                     type: number
+ *                     description: Minutes after the grace period in which late submissions are accepted
+ *                   penalty_type:
+ *                     type: string
+ *                     enum: [none, percent_per_minute, percent_per_hour, flat]
+ *                   penalty:
+ *                     type: number
+ *                     description: Percent of the points possible per minute or hour, or points for flat
+ *                   max_penalty:
+ *                     type: number
+ *                     description: Cap in percent, or in points for flat
+ *               randomization:
+ *                 type: object
+ *                 properties:
+ *                   shuffle_questions:
+ *                     type: boolean
+ *                   shuffle_options:
+ *                     type: boolean
+ *                   pools:
+ *                     type: array
+ *                     description: Draw a number of questions from each named pool for every student
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                         draw:
+ *                           type: number
+ *               question_bank_ids:
+ *                 type: array
+ *                 description: IDs of question bank entries to copy into the quiz, after the inline questions
+ *                 items:
+ *                   type: string
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       description: ID of the question this one replaces
+ *                     question_text:
+ *                       type: string
+ *                       description: Markdown with LaTeX math ($...$ or $$...$$), returned rendered to sanitized HTML as question_html
+ *                     question_type:
+ *                       type: string
+ *                       enum: [choice, numeric, short_text, essay]
+ *                     points:
+ *                       type: number
+ *                     pool:
+ *                       type: string
+ *                     is_multiple_choice:
+ *                       type: boolean
+ *                     numeric_answer:
+ *                       type: object
+ *                       properties:
+ *                         value:
+ *                           type: number
+ *                         tolerance:
+ *                           type: number
+ *                         tolerance_type:
+ *                           type: string
+ *                           enum: [absolute, relative]
+ *                         unit:
+ *                           type: string
+ *                     text_answer:
+ *                       type: object
+ *                       properties:
+ *                         accepted_answers:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         case_sensitive:
+ *                           type: boolean
+ *                         normalize_whitespace:
+ *                           type: boolean
+ *                         pattern:
+ *                           type: string
+ *                     explanation:
+ *                       type: string
+ *                       description: Shown to students in the review once it is released
+ *                     media:
+ *                       type: array
+ *                       description: IDs of files uploaded to the quiz, see POST /api/classes/{classId}/quizzes/{quizId}/media
+ *                       items:
+ *                         type: string
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             description: ID of the option this one replaces
+ *                           option_text:
+ *                             type: string
+ *                             description: Markdown with LaTeX math, returned rendered to sanitized HTML as option_html
+ *                           is_correct:
+ *                             type: boolean
+ *                           feedback:
+ *                             type: string
+ *                             description: Shown in the review when the option was picked
+ *                           media:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *     responses:
+ *       200:
+ *         description: Successful update of a quiz
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Quiz updated successfully
+ *               quiz: { quiz_name: "Updated Math Quiz", class_id: "classId", start_date: "2024-01-20T12:00:00Z", duration: 60, questions: [...] }
+ *       400:
+ *         description: Changed start date in the past, invalid questions, question_bank_ids not an array, unknown media or archived quiz
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - User is not a teacher
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+
+router.patch("/:classId/quizzes/:quizId", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const { classId, quizId } = req.params;
+    const {
+      quiz_name,
+      start_date,
+      duration,
+      questions,
+      question_bank_ids,
+      scoring_policy,
+      randomization,
+      attempt_policy,
+      release_policy,
+      late_policy,
+    } = req.body;
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    const isTeacherOfClass = existingClass.teacher_id.equals(decoded.id);
+
+    if (!isTeacherOfClass) {
+      return res
+        .status(403)
+        .json({ error: "User is not the teacher of this class" });
+    }
+
+    const existingQuiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!existingQuiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    if (!isEditable(quizState(existingQuiz))) {
+      return res.status(400).json({ error: "Archived quizzes cannot be edited, unarchive the quiz first" });
+    }
+
+    // a new start date has to be in the future, an unchanged one may be past
+    const startDateChanged =
+      start_date !== undefined &&
+      new Date(start_date).getTime() !== new Date(existingQuiz.start_date).getTime();
+
+    if (startDateChanged && !(new Date(start_date) > new Date())) {
+      return res
+        .status(400)
+        .json({ error: "Quiz start date must be in the future" });
+    }
+
+    const missingMedia = await unknownMedia(existingQuiz, questions);
+    if (missingMedia.length) {
+      return res
+        .status(400)
+        .json({ error: `Media ${missingMedia.join(", ")} not found in quiz` });
+    }
+
+    // answers given so far keep pointing at the version they were graded against
+    await prepareEdit(existingQuiz);
+
+    // Update the quiz details that were sent, the others stay as they are
+    if (quiz_name !== undefined) existingQuiz.quiz_name = quiz_name;
+    if (startDateChanged) existingQuiz.start_date = start_date;
+    if (duration !== undefined) existingQuiz.duration = duration;
+    if (questions !== undefined || question_bank_ids !== undefined) {
+      const bankQuestions = await resolveBankQuestions(decoded.id, question_bank_ids);
+      existingQuiz.questions = keepQuestionIds(existingQuiz.questions, [
+        ...(questions || []),
+        ...bankQuestions,
+      ]);
+    }
+    if (scoring_policy) existingQuiz.scoring_policy = scoring_policy;
+    if (randomization) existingQuiz.randomization = randomization;
+    if (attempt_policy) existingQuiz.attempt_policy = attempt_policy;
+    if (release_policy) existingQuiz.release_policy = release_policy;
+    if (late_policy) existingQuiz.late_policy = late_policy;
+
+    try {
+      await existingQuiz.save();
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.json({ message: "Quiz updated successfully", quiz: existingQuiz });
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/lifecycle/{action}:
+ *   post:
+ *     summary: Move a quiz through its lifecycle (for teachers)
+ *     description: >
+ *       A quiz is a draft (invisible to students), scheduled (published,
+ *       before its start date), open, closed or archived (read-only, hidden
+ *       from the default quiz list). publish turns a draft into a scheduled
+ *       or open quiz, unpublish turns a scheduled quiz back into a draft,
+ *       close ends a scheduled or open quiz early and submits the attempts
+ *       in progress, reopen publishes a closed quiz again while its window
+ *       lasts, archive and unarchive hide and restore a draft or closed quiz.
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *       - in: path
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [publish, unpublish, close, reopen, archive, unarchive]
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Successful transition
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Quiz is now closed"
+ *               from: "open"
+ *               state: "closed"
+ *               submitted_attempts: 2
+ *               quiz: { quiz_name: "Math Quiz", status: "closed", closed_at: "2024-01-20T12:40:00Z" }
+ *       400:
+ *         description: Unknown action or not allowed in the current state
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.post("/:classId/quizzes/:quizId/lifecycle/:action", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const { classId, quizId, action } = req.params;
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (!existingClass.teacher_id.equals(decoded.id)) {
+      return res
+        .status(403)
+        .json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const { from, to, error } = applyTransition(quiz, action);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await quiz.save();
+    const body = { message: `Quiz is now ${to}`, from, state: to, quiz };
+    if (action === "close") {
+      body.submitted_attempts = await submitOpenAttempts(quiz);
+    }
+
+    res.json(body);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Media
+ *   description: Images and files shown with the questions and options of a quiz
+ */
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/media:
+ *   post:
+ *     summary: Upload an image or file for the questions of a quiz (for teachers)
+ *     description: >
+ *       PNG, JPEG, GIF, WebP and PDF files of at most 5MB are accepted; the
+ *       type is checked from the file content. Put the returned id in the
+ *       `media` array of a question or option when saving the quiz.
+ *     tags: [Media]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File uploaded
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: File uploaded successfully
+ *               media: { _id: "mediaId", original_name: "triangle.png", mime_type: "image/png", size: 20480, url: "/api/classes/classId/media/mediaId" }
+ *       400:
+ *         description: Missing, too large or unsupported file, or archived quiz
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.post("/:classId/quizzes/:quizId/media", uploadFile("file"), async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId } = req.params;
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, existingClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    if (!isEditable(quizState(quiz))) {
+      return res.status(400).json({ error: "Archived quizzes cannot be edited, unarchive the quiz first" });
+    }
+
+    const { mimeType, error } = checkUpload(req.file);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const media = await storeMedia(quiz, req.file, mimeType, decoded.id);
+
+    res.status(201).json({
+      message: "File uploaded successfully",
+      media: {
+        _id: media._id,
+        original_name: media.original_name,
+        mime_type: media.mime_type,
+        size: media.size,
+        url: `/api/classes/${classId}/media/${media._id}`,
+      },
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/media/{mediaId}:
+ *   get:
+ *     summary: Download an image or file of a quiz
+ *     description: >
+ *       Open to the teacher and the students of the class. Students cannot
+ *       get the files of draft or archived quizzes.
+ *     tags: [Media]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: mediaId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the file
+ *     responses:
+ *       200:
+ *         description: The file content
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - User is not in the class
+ *       404:
+ *         description: Class or file not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/media/:mediaId", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, mediaId } = req.params;
+
+    const myClass = await Class.findById(classId);
+
+    if (!myClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    const isTeacherOrStudentInClass =
+      myClass.teacher_id.equals(decoded.id) ||
+      myClass.students.includes(decoded.id);
+
+    if (!isTeacherOrStudentInClass) {
+      return res.status(403).json({ error: "User is not authorized to access this file" });
+    }
+
+    const media = await Media.findOne({ _id: mediaId, class_id: classId });
+    const quiz = media && await Quiz.findById(media.quiz_id);
+
+    if (!quiz || (audienceFor(decoded, myClass) === "student" && !isVisibleToStudents(quizState(quiz)))) {
+      return res.status(404).json({ error: "File not found" });
+    }
+
+    const content = await readMedia(media);
+
+    res.set({
+      "Content-Type": media.mime_type,
+      "Content-Length": content.length,
+      "Content-Disposition": `inline; filename="${encodeURIComponent(media.original_name || String(media._id))}"`,
+      "X-Content-Type-Options": "nosniff",
+      "Cache-Control": "private, max-age=3600",
+    });
+    res.send(content);
+  } catch (error) {
+    if (error.name === "CastError" || error.code === "ENOENT") {
+      return res.status(404).json({ error: "File not found" });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Accommodations
+ *   description: Per-student timing of a quiz, e.g. extra time from an accessibility plan
+ */
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/accommodations:
+ *   get:
+ *     summary: List the accommodations of a quiz (for teachers)
+ *     tags: [Accommodations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     responses:
+ *       200:
+ *         description: Successful retrieval of the accommodations
+ *         content:
+ *           application/json:
+ *             example:
+ *               accommodations:
+ *                 - student_id: { _id: "studentId", full_name: "John Doe" }
+ *                   duration_multiplier: 1.5
+ *                   extra_minutes: 0
+ *                   extra_attempts: 0
+ *                   note: "Accessibility plan"
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/quizzes/:quizId/accommodations", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId } = req.params;
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, existingClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const accommodations = await Accommodation.find({ quiz_id: quiz._id }).populate("student_id", "full_name");
+
+    res.json({ accommodations });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/accommodations/{studentId}:
+ *   put:
+ *     summary: Set the accommodation of a student for a quiz (for teachers)
+ *     description: >
+ *       Replaces any previous accommodation of the student. Attempts last
+ *       duration * duration_multiplier + extra_minutes. start_date and
+ *       end_date give the student another window to start the quiz in, and
+ *       extra_attempts are added to the attempt policy. Quizzes released
+ *       "after_close" wait until accommodated students are done too.
+ *       Excused students have the quiz left out of their gradebook average.
+ *     tags: [Accommodations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the student
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               duration_multiplier:
+ *                 type: number
+ *                 minimum: 1
+ *               extra_minutes:
+ *                 type: number
+ *                 minimum: 0
+ *               start_date:
+ *                 type: string
+ *                 format: date-time
+ *               end_date:
+ *                 type: string
+ *                 format: date-time
+ *               extra_attempts:
+ *                 type: number
+ *                 minimum: 0
+ *               excused:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *           example:
+ *             duration_multiplier: 1.5
+ *             start_date: "2024-01-22T09:00:00Z"
+ *             end_date: "2024-01-22T11:00:00Z"
+ *     responses:
+ *       200:
+ *         description: Accommodation saved
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Accommodation saved"
+ *               accommodation: { student_id: "studentId", duration_multiplier: 1.5, extra_minutes: 0, extra_attempts: 0 }
+ *       400:
+ *         description: Invalid accommodation
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class, quiz or student not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.put("/:classId/quizzes/:quizId/accommodations/:studentId", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId, studentId } = req.params;
+    const { duration_multiplier, extra_minutes, start_date, end_date, extra_attempts, excused, note } = req.body;
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, existingClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    if (!existingClass.students.includes(studentId)) {
+      return res.status(404).json({ error: "Student not found in class" });
+    }
+
+    const accommodation =
+      (await Accommodation.findOne({ quiz_id: quiz._id, student_id: studentId })) ||
+      new Accommodation({ quiz_id: quiz._id, student_id: studentId });
+
+    Object.assign(accommodation, {
+      duration_multiplier: duration_multiplier ?? 1,
+      extra_minutes: extra_minutes ?? 0,
+      start_date: start_date || undefined,
+      end_date: end_date || undefined,
+      extra_attempts: extra_attempts ?? 0,
+      excused: excused ?? false,
+      note,
+    });
+
+    try {
+      await accommodation.save();
+    } catch (error) {
+      if (error.name === "ValidationError" || error.name === "CastError") {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.json({ message: "Accommodation saved", accommodation });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/accommodations/{studentId}:
+ *   delete:
+ *     summary: Remove the accommodation of a student for a quiz (for teachers)
+ *     description: Attempts already started keep the time they were given.
+ *     tags: [Accommodations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *       - in: path
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the student
+ *     responses:
+ *       200:
+ *         description: Accommodation removed
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class, quiz or accommodation not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.delete("/:classId/quizzes/:quizId/accommodations/:studentId", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId, studentId } = req.params;
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, existingClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const deleted = await Accommodation.findOneAndDelete({ quiz_id: quiz._id, student_id: studentId });
+
+    if (!deleted) {
+      return res.status(404).json({ error: "Accommodation not found" });
+    }
+
+    res.json({ message: "Accommodation removed" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}:
+ *   get:
+ *     summary: Get details of a quiz in a class
+ *     description: Students get the questions of their attempt in progress with their saved draft; without one the questions are left out and attempt is null, start an attempt with POST /attempts. Draft quizzes are not found for them. Students of a randomized quiz get their own recorded variant, with questions and options in the order they were drawn.
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     responses:
+ *       '200':
+ *         description: Successful retrieval of quiz details
+ *         content:
+ *           application/json:
+ *             example:
+ *               quiz: 
+ *                 quiz_name: "Math Quiz"
+ *                 class_id: "classId"
+ *                 start_date: "2024-01-20T12:00:00Z"
+ *                 duration: 60
+ *                 questions: [...]
+ *               state: "open"
+ *               attempt:
+ *                 attempt: 1
+ *                 started_at: "2024-01-20T12:05:00Z"
+ *                 expires_at: "2024-01-20T13:05:00Z"
+ *                 remaining_seconds: 3600
+ *               draft:
+ *                 - question_id: "questionId1"
+ *                   selected_options: ["optionId1"]
+ *       '401':
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Invalid token"
+ *       '403':
+ *         description: Forbidden - Only authenticated users can access this endpoint or user is not authorized to access this quiz
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Forbidden - Only authenticated users can access this endpoint" 
+ *       '404':
+ *         description: Class or quiz not found
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Class not found" 
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Internal Server Error"
+ */
+router.get("/:classId/quizzes/:quizId", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (
+      !decoded ||
+      (decoded.role !== "teacher" && decoded.role !== "student")
+    ) {
+      return res
+        .status(403)
+        .json({
+          error:
+            "Forbidden - Only authenticated users can access this endpoint",
+        });
+    }
+
+    const { classId, quizId } = req.params;
+
+    const myClass = await Class.findById(classId);
+
+    if (!myClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    const isTeacherOrStudentInClass =
+      myClass.teacher_id.equals(decoded.id) ||
+      myClass.students.includes(decoded.id);
+
+    if (!isTeacherOrStudentInClass) {
+      return res
+        .status(403)
+        .json({ error: "User is not authorized to access this quiz" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+    const audience = audienceFor(decoded, myClass);
+
+    if (!quiz || (audience === "student" && !isVisibleToStudents(quizState(quiz)))) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+    if (decoded.role === "student") {
+      const state = quizState(quiz, new Date(), await findAccommodation(quiz, decoded.id));
+      // only POST /attempts starts an attempt, opening the quiz resumes one
+      const resumed = await resumeAttempt(quiz, decoded.id);
+      if (!resumed) {
+        // the questions stay hidden until the timed attempt starts
+        return res.json({ quiz: serializeQuiz(quiz, "student", []), state, attempt: null, draft: [] });
+      }
+
+      const { attempt, variant, quiz: attemptQuiz } = resumed;
+      return res.json({
+        quiz: serializeQuiz(attemptQuiz, "student", variantQuestions(attemptQuiz, variant)),
+        state,
+        attempt: serializeAttempt(attempt),
+        draft: attempt.responses,
+      });
+    }
+
+    res.json({ quiz: serializeQuiz(quiz, audience), state: quizState(quiz) });
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes:
+ *   get:
+ *     summary: Get a list of quizzes in a class
+ *     description: Students never see draft quizzes.
+ *     tags: [Quizzes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Comma-separated states to list (draft, scheduled, open, closed, archived), all but archived by default
+ *     responses:
+ *       200:
+ *         description: Successful retrieval of quizzes
+ *         content:
+ *           application/json:
+ *             example:
+ *               quizzes:
+ *                 - quiz_name: "Math Quiz"
+ *                   quiz_id: "quizId1"
+ *                   start_date: "2024-01-20T12:00:00Z"
+ *                   duration: 60
+ *                   state: "closed"
+ *                 - quiz_name: "Science Quiz"
+ *                   quiz_id: "quizId2"
+ *                   start_date: "2024-01-21T14:00:00Z"
+ *                   duration: 45
+ *                   state: "scheduled"
+ *       400:
+ *         description: Unknown state
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Class not found
+ *       500:
+ *         description: Internal Server Error
+ */
+
+router.get("/:classId/quizzes", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (
+      !decoded ||
+      (decoded.role !== "teacher" && decoded.role !== "student")
+    ) {
+      return res
+        .status(403)
+        .json({
+          error:
+            "Forbidden - Only authenticated users can access this endpoint",
+        });
     }
 
     const { classId } = req.params;
@@ -819,49 +2744,812 @@ router.get("/:classId/quizzes", async (req, res) => {
       return res.status(404).json({ error: "Class not found" });
     }
 
-    const isTeacherOrStudentInClass =
-      myClass.teacher_id.equals(decoded.id) ||
-      myClass.students.includes(decoded.id);
+    const isTeacherOrStudentInClass =
+      myClass.teacher_id.equals(decoded.id) ||
+      myClass.students.includes(decoded.id);
+
+    if (!isTeacherOrStudentInClass) {
+      return res
+        .status(403)
+        .json({ error: "User is not authorized to access quizzes in this class" });
+    }
+
+    // archived quizzes are only listed on request
+    const states = req.query.state
+      ? String(req.query.state).split(",").map((state) => state.trim())
+      : STATES.filter((state) => state !== "archived");
+    const unknownState = states.find((state) => !STATES.includes(state));
+
+    if (unknownState) {
+      return res.status(400).json({ error: `state must be one of ${STATES.join(", ")}` });
+    }
+
+    const audience = audienceFor(decoded, myClass);
+    const now = new Date();
+    const quizzes = await Quiz.find({ class_id: classId });
+    // console.log(quizzes);
+
+    // students see the state of their own accommodated window
+    const accommodations = audience === "student"
+      ? await Accommodation.find({ student_id: decoded.id, quiz_id: { $in: quizzes.map((quiz) => quiz._id) } })
+      : [];
+    const accommodationOf = (quiz) => accommodations.find((accommodation) => accommodation.quiz_id.equals(quiz._id));
+
+    const formattedQuizzes = quizzes
+      .map((quiz) => ({
+        quiz_name: quiz.quiz_name,
+        quiz_id: quiz._id,
+        start_date: quiz.start_date,
+        duration: quiz.duration,
+        state: quizState(quiz, now, accommodationOf(quiz)),
+      }))
+      .filter((quiz) => states.includes(quiz.state))
+      .filter((quiz) => audience === "teacher" || isVisibleToStudents(quiz.state));
+
+    res.json({ quizzes: formattedQuizzes });
+  } catch (error) {
+    if (error.name === "JsonWebTokenError") {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Responses
+ *   description: Responses-related endpoints
+ */
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/attempts:
+ *   post:
+ *     summary: Start (or resume) a timed attempt of a quiz
+ *     description: The quiz duration is counted from the moment the attempt starts. When it runs out the answers saved so far are submitted automatically. The window, duration and number of attempts follow the student's accommodation, if any.
+ *     tags: [Responses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     responses:
+ *       200:
+ *         description: Attempt started or resumed
+ *         content:
+ *           application/json:
+ *             example:
+ *               attempt:
+ *                 attempt: 1
+ *                 started_at: "2024-01-20T12:05:00Z"
+ *                 expires_at: "2024-01-20T13:05:00Z"
+ *                 remaining_seconds: 3600
+ *       403:
+ *         description: Forbidden - Not a student of the class, quiz not open or no attempts left
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.post("/:classId/quizzes/:quizId/attempts", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (!decoded || decoded.role !== "student") {
+      return res.status(403).json({ error: "Forbidden - Only authenticated students can access this endpoint" });
+    }
+
+    const { classId, quizId } = req.params;
+
+    const myClass = await Class.findById(classId);
+
+    if (!myClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (!myClass.students.includes(decoded.id)) {
+      return res
+        .status(403)
+        .json({ error: "User is not authorized to access this quiz" });
+    }
+
+    const quiz = await Quiz.findById(quizId);
+
+    if (!quiz || !quiz.class_id.equals(classId) || !isVisibleToStudents(quizState(quiz))) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const { attempt, error } = await startAttempt(quiz, decoded.id);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+
+    res.json({ attempt: serializeAttempt(attempt) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/draft:
+ *   put:
+ *     summary: Autosave answers of the attempt in progress
+ *     description: Answers are merged into the saved draft by question, so clients can send only what changed.
+ *     tags: [Responses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             responses:
+ *               - question_id: "questionId1"
+ *                 selected_options: ["optionId1"]
+ *     responses:
+ *       200:
+ *         description: Draft saved
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Draft saved"
+ *               draft:
+ *                 - question_id: "questionId1"
+ *                   selected_options: ["optionId1"]
+ *               attempt:
+ *                 attempt: 1
+ *                 started_at: "2024-01-20T12:05:00Z"
+ *                 expires_at: "2024-01-20T13:05:00Z"
+ *                 remaining_seconds: 1800
+ *       400:
+ *         description: Invalid format for response, or a question the attempt does not have
+ *       403:
+ *         description: Forbidden - Time is up, or the user is not a student of the class
+ *       404:
+ *         description: Class, quiz or attempt in progress not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.put("/:classId/quizzes/:quizId/draft", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (!decoded || decoded.role !== "student") {
+      return res.status(403).json({ error: "Forbidden - Only authenticated students can access this endpoint" });
+    }
+
+    const { classId, quizId } = req.params;
+
+    const myClass = await Class.findById(classId);
+
+    if (!myClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (!myClass.students.includes(decoded.id)) {
+      return res
+        .status(403)
+        .json({ error: "User is not authorized to access this quiz" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+    if (!quiz || !isVisibleToStudents(quizState(quiz))) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const { responses, error } = parseResponses(req.body.responses);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const openAttempt = await findOpenAttempt(quiz, decoded.id);
+    if (!openAttempt) {
+      return res.status(404).json({ error: "No attempt in progress" });
+    }
+    if (isExpired(openAttempt)) {
+      await finishAttempt(quiz, openAttempt, openAttempt.responses, "auto_submitted");
+      return res.status(403).json({ error: "Forbidden - Time is up, your saved answers were submitted" });
+    }
+
+    const questionIds = new Set((await attemptQuestions(quiz, openAttempt)).map((question) => String(question._id)));
+    const unknown = responses.find((response) => !questionIds.has(String(response.question_id)));
+    if (unknown) {
+      return res.status(400).json({ error: `Question ${unknown.question_id} not found in quiz` });
+    }
+
+    openAttempt.responses = mergeResponses(openAttempt.responses, responses);
+    await openAttempt.save();
+
+    res.json({ message: "Draft saved", draft: openAttempt.responses, attempt: serializeAttempt(openAttempt) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/responses:
+ *   post:
+ *     summary: Submit responses for a quiz
+ *     description: Without a responses field the draft saved for the attempt in progress is submitted. The score is only returned when the quiz release policy allows it, and the full review when the review is released immediately. Attempts started after the grace period of the quiz late policy are flagged late and lose late_penalty points.
+ *     tags: [Responses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           example:
+ *             responses:
+ *               - question_id: "questionId1"
+ *                 selected_options: ["optionId1"]
+ *               - question_id: "questionId2"
+ *                 selected_options: ["optionId2"]
+ *               - question_id: "numericQuestionId"
+ *                 answer: "9.81 m/s^2"
+ *               - question_id: "shortTextQuestionId"
+ *                 answer: "Photosynthesis"
+ *     responses:
+ *       '200':
+ *         description: Successful submission of responses
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Student responses stored successfully"
+ *               attempt: 1
+ *               score: 4.5
+ *               out_of: 10
+ *               status: "final"
+ *               late: true
+ *               late_penalty: 0.5
+ *       '400':
+ *         description: Invalid format for response
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Invalid format for response"
+ *       '403':
+ *         description: Forbidden - Quiz has not started or has already passed, no attempts are left, or the user is not a student of the class
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Forbidden - Quiz has not started or has already passed"
+ *       '404':
+ *         description: Class or quiz not found
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Quiz not found"
+ *       '500':
+ *         description: Internal Server Error
+ *         content:
+ *           application/json:
+ *             example:
+ *               error: "Internal Server Error"
+ */
+router.post("/:classId/quizzes/:quizId/responses", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (!decoded || decoded.role !== "student") {
+      return res.status(403).json({ error: "Forbidden - Only authenticated students can access this endpoint" });
+    }
+
+    const { classId, quizId } = req.params;
+    const { responses } = req.body;
+    const student_id = decoded.id;
+
+    const myClass = await Class.findById(classId);
+
+    if (!myClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (!myClass.students.includes(decoded.id)) {
+      return res
+        .status(403)
+        .json({ error: "User is not authorized to access this quiz" });
+    }
 
-    if (!isTeacherOrStudentInClass) {
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+    if(!quiz || !isVisibleToStudents(quizState(quiz))){
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    let submission;
+    const openAttempt = await findOpenAttempt(quiz, student_id);
+
+    if (openAttempt && isExpired(openAttempt)) {
+      await finishAttempt(quiz, openAttempt, openAttempt.responses, "auto_submitted");
+      return res.status(403).json({ error: "Forbidden - Time is up, your saved answers were submitted" });
+    }
+
+    // without a body the saved draft is submitted
+    const useDraft = responses === undefined && openAttempt;
+    const { responses: allResponses, error: formatError } = useDraft
+      ? { responses: openAttempt.responses }
+      : parseResponses(responses);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+
+    if (openAttempt) {
+      submission = await finishAttempt(quiz, openAttempt, allResponses);
+      if (!submission) {
+        return res.status(403).json({ error: "Forbidden - This attempt was already submitted" });
+      }
+    } else {
+      // submitted without opening the quiz first, the quiz has to be open
+      const accommodation = await findAccommodation(quiz, student_id);
+      const notOpen = startError(quiz, new Date(), accommodation);
+      if (notOpen) {
+        return res.status(403).json({ error: notOpen });
+      }
+      const { allowed, attempt, error } = await nextAttempt(quiz, student_id, new Date(), accommodation);
+      if (!allowed) {
+        return res.status(403).json({ error });
+      }
+      const variant = await getOrCreateVariant(quiz, student_id, attempt);
+      submission = await storeSubmission({
+        quiz,
+        studentId: student_id,
+        attempt,
+        variant,
+        responses: allResponses,
+        lateMinutes: lateMinutes(quiz, new Date(), accommodation),
+      });
+    }
+
+    const { result, studentResponse, variant, quiz: gradedQuiz } = submission;
+    const body = {
+      message: "Student responses stored successfully",
+      attempt: result.attempt,
+      status: result.status,
+      late: result.late,
+    };
+    const now = new Date();
+    const accommodations = await Accommodation.find({ quiz_id: quiz._id });
+    if (isReleased(quiz, "score", now, accommodations)) {
+      Object.assign(body, { score: result.score, out_of: result.out_of, late_penalty: result.late_penalty });
+    }
+    if (isReleased(quiz, "review", now, accommodations)) {
+      body.review = buildReview(variantQuestions(gradedQuiz, variant), studentResponse, result);
+    }
+
+    res.json(body);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Grading
+ *   description: Manual grading of essay answers
+ */
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/grading-queue:
+ *   get:
+ *     summary: List essay answers of a quiz that still need grading (for teachers)
+ *     tags: [Grading]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     responses:
+ *       200:
+ *         description: Successful retrieval of the grading queue
+ *         content:
+ *           application/json:
+ *             example:
+ *               queue:
+ *                 - result_id: "resultId"
+ *                   student: { _id: "studentId", full_name: "John Doe" }
+ *                   question_id: "questionId"
+ *                   question_text: "Explain photosynthesis"
+ *                   question_html: "<p>Explain photosynthesis</p>"
+ *                   points_possible: 5
+ *                   answer: "Plants turn light into..."
+ *                   submitted_at: "2024-01-20T12:30:00Z"
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/quizzes/:quizId/grading-queue", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const { classId, quizId } = req.params;
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (!existingClass.teacher_id.equals(decoded.id)) {
       return res
         .status(403)
-        .json({ error: "User is not authorized to access quizzes in this class" });
+        .json({ error: "User is not the teacher of this class" });
     }
 
-    const quizzes = await Quiz.find({ class_id: classId });
-    // console.log(quizzes);
+    const quiz = await Quiz.findById(quizId);
 
-    const formattedQuizzes = quizzes.map((quiz) => ({
-      quiz_name: quiz.quiz_name,
-      quiz_id: quiz._id,
-      start_date: quiz.start_date,
-      duration: quiz.duration,
-    }));
+    if (!quiz || !quiz.class_id.equals(classId)) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const results = await StudentResult.find({ quiz_id: quizId, status: "provisional" })
+      .populate("student_id", "full_name");
+
+    const queue = [];
+    for (const result of results) {
+      const studentResponse = result.response_id
+        ? await StudentResponse.findById(result.response_id)
+        : await StudentResponse.findOne({ student_id: result.student_id, quiz_id: quizId });
+
+      const gradedQuiz = await quizAtVersion(quiz, result.quiz_version);
+      for (const entry of result.breakdown.filter((item) => item.needs_grading)) {
+        const question = gradedQuiz.questions.id(entry.question_id);
+        const response = studentResponse && studentResponse.responses.find(
+          (item) => item.question_id.equals(entry.question_id)
+        );
+        queue.push({
+          result_id: result._id,
+          student: result.student_id,
+          question_id: entry.question_id,
+          question_text: question ? question.question_text : null,
+          question_html: question ? questionHtml(question) : null,
+          points_possible: entry.points_possible,
+          answer: response ? response.answer : null,
+          submitted_at: result.submitted_at,
+        });
+      }
+    }
+
+    res.json({ queue });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/grading-queue/{resultId}:
+ *   post:
+ *     summary: Grade essay answers of a submission (for teachers)
+ *     description: The result becomes final once every essay answer of the submission is graded.
+ *     tags: [Grading]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *       - in: path
+ *         name: resultId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the student result
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             grades:
+ *               - question_id: "questionId"
+ *                 score: 4
+ *                 comment: "Good, but missing the role of chlorophyll"
+ *     responses:
+ *       200:
+ *         description: Successful grading
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Answers graded successfully"
+ *               result: { score: 7, out_of: 10, status: "final" }
+ *       400:
+ *         description: Invalid grade, or a question that is not graded by hand
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class, quiz, result or question not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.post("/:classId/quizzes/:quizId/grading-queue/:resultId", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const { classId, quizId, resultId } = req.params;
+    const { grades } = req.body;
+
+    if (!Array.isArray(grades) || grades.length === 0) {
+      return res.status(400).json({ error: "grades must be a non-empty array" });
+    }
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (!existingClass.teacher_id.equals(decoded.id)) {
+      return res
+        .status(403)
+        .json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const result = await StudentResult.findOne({ _id: resultId, quiz_id: quiz._id });
+
+    if (!result) {
+      return res.status(404).json({ error: "Student result not found" });
+    }
+
+    const gradedQuiz = await quizAtVersion(quiz, result.quiz_version);
+
+    for (const grade of grades) {
+      const entry = result.breakdown.find(
+        (item) => item.question_id && item.question_id.equals(grade.question_id)
+      );
+
+      if (!entry) {
+        return res.status(404).json({ error: `Question ${grade.question_id} not found in result` });
+      }
+      // other answers are graded automatically, a regrade changes their score
+      const question = gradedQuiz.questions.id(entry.question_id);
+      if (!entry.needs_grading && !(question && question.question_type === "essay")) {
+        return res.status(400).json({ error: `Question ${grade.question_id} is graded automatically` });
+      }
+      if (typeof grade.score !== "number" || grade.score < 0 || grade.score > entry.points_possible) {
+        return res.status(400).json({ error: `Score must be between 0 and ${entry.points_possible}` });
+      }
+
+      entry.points_awarded = grade.score;
+      entry.is_correct = grade.score === entry.points_possible;
+      entry.needs_grading = false;
+      entry.comment = grade.comment;
+      entry.graded_at = new Date();
+    }
+
+    Object.assign(result, applyLatePenalty(summarize(result.breakdown), gradedQuiz.late_policy, result.late_minutes));
+    await result.save();
+
+    res.json({ message: "Answers graded successfully", result });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/regrade:
+ *   post:
+ *     summary: Regrade every submission of a quiz (for teachers)
+ *     description: >
+ *       Grades all stored answers again against the current answer key, for
+ *       instance after fixing a wrong is_correct flag with PATCH
+ *       /api/classes/{classId}/quizzes/{quizId}; answers follow their
+ *       questions by ID, which that edit keeps. overrides give every
+ *       student full credit for a question or drop it from the total; they
+ *       replace the overrides of the quiz and also apply to later
+ *       submissions. Essay scores already given are kept. With dry_run the
+ *       changes are only previewed; otherwise they are stored and the old
+ *       scores are kept in the score_history of each result.
+ *     tags: [Grading]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           example:
+ *             dry_run: true
+ *             overrides:
+ *               - question_id: "questionId"
+ *                 action: "full_credit"
+ *     responses:
+ *       200:
+ *         description: Successful regrade, or its preview
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Quiz regraded successfully"
+ *               dry_run: false
+ *               changes:
+ *                 - result_id: "resultId"
+ *                   student: { _id: "studentId", full_name: "John Doe" }
+ *                   attempt: 1
+ *                   previous: { score: 6, out_of: 10, status: "final" }
+ *                   score: 7
+ *                   out_of: 10
+ *                   status: "final"
+ *                   difference: 1
+ *               unchanged: 23
+ *               skipped: []
+ *       400:
+ *         description: Invalid overrides
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.post("/:classId/quizzes/:quizId/regrade", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const { classId, quizId } = req.params;
+    const dryRun = req.body.dry_run === true || req.body.dry_run === "true";
+
+    const existingClass = await Class.findById(classId);
+
+    if (!existingClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (!existingClass.teacher_id.equals(decoded.id)) {
+      return res
+        .status(403)
+        .json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    let overrides = quiz.grading_overrides;
+    if (req.body.overrides !== undefined) {
+      const parsed = parseOverrides(req.body.overrides, quiz);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      overrides = parsed.overrides;
+    }
+
+    if (!dryRun && !isEditable(quizState(quiz))) {
+      return res.status(400).json({ error: "Archived quizzes cannot be regraded, unarchive the quiz first" });
+    }
+
+    const plan = await planRegrade(quiz, overrides);
+
+    if (!dryRun) {
+      if (req.body.overrides !== undefined) {
+        quiz.grading_overrides = overrides;
+        await quiz.save();
+      }
+      await commitRegrade(plan);
+    }
 
-    res.json({ quizzes: formattedQuizzes });
+    res.json({
+      message: dryRun ? "Regrade preview" : "Quiz regraded successfully",
+      dry_run: dryRun,
+      changes: plan.changes.map(describeChange),
+      unchanged: plan.unchanged,
+      skipped: plan.skipped,
+    });
   } catch (error) {
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid token" });
-    }
     console.error(error);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
-
 /**
  * @swagger
  * tags:
- *   name: Responses
- *   description: Responses-related endpoints
+ *   name: Results
+ *   description: Results-related endpoints
  */
-
 /**
  * @swagger
- * /api/classes/{classId}/quizzes/{quizId}/responses:
- *   post:
- *     summary: Submit responses for a quiz
- *     tags: [Responses]
+ * /api/classes/{classId}/quizzes/{quizId}/review:
+ *   get:
+ *     summary: Review an attempt question by question
+ *     description: Shows the student's answers next to the answer key. Students only get it once the quiz release policy releases the review, teachers pass student_id.
+ *     tags: [Results]
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -877,126 +3565,117 @@ router.get("/:classId/quizzes", async (req, res) => {
  *           type: string
  *         required: true
  *         description: The ID of the quiz
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           example:
- *             student_id: "studentId"
- *             responses:
- *               - question_id: "questionId1"
- *                 selected_options: ["optionId1"]
- *               - question_id: "questionId2"
- *                 selected_options: ["optionId2"]
+ *       - in: query
+ *         name: student_id
+ *         schema:
+ *           type: string
+ *         description: Student to review (teachers only)
+ *       - in: query
+ *         name: attempt
+ *         schema:
+ *           type: number
+ *         description: Attempt to review, the latest by default
  *     responses:
- *       '200':
- *         description: Successful submission of responses
- *         content:
- *           application/json:
- *             example:
- *               message: "Student responses stored successfully"
- *               score: 5
- *               out_of: 10
- *       '400':
- *         description: Invalid format for response
- *         content:
- *           application/json:
- *             example:
- *               error: "Invalid format for response"
- *       '403':
- *         description: Forbidden - Quiz has not started or has already passed
- *         content:
- *           application/json:
- *             example:
- *               error: "Forbidden - Quiz has not started or has already passed"
- *       '404':
- *         description: Quiz not found
+ *       200:
+ *         description: Successful retrieval of the review
  *         content:
  *           application/json:
  *             example:
- *               error: "Quiz not found"
- *       '500':
+ *               review:
+ *                 attempt: 1
+ *                 score: 1
+ *                 out_of: 2
+ *                 status: "final"
+ *                 questions:
+ *                   - question_id: "questionId1"
+ *                     question_text: "2 + 2"
+ *                     question_html: "<p>2 + 2</p>"
+ *                     question_type: "choice"
+ *                     explanation: "2 + 2 is four"
+ *                     options:
+ *                       - _id: "optionId1"
+ *                         option_text: "4"
+ *                         option_html: "4"
+ *                         is_correct: true
+ *                         selected: false
+ *                       - _id: "optionId2"
+ *                         option_text: "5"
+ *                         option_html: "5"
+ *                         is_correct: false
+ *                         feedback: "Off by one, check the carry"
+ *                         selected: true
+ *                     selected_options: ["optionId2"]
+ *                     points_awarded: 0
+ *                     points_possible: 1
+ *                     is_correct: false
+ *       403:
+ *         description: Forbidden - Review not released or not authorized
+ *       404:
+ *         description: Class, quiz or submission not found
+ *       500:
  *         description: Internal Server Error
- *         content:
- *           application/json:
- *             example:
- *               error: "Internal Server Error"
  */
-router.post("/:classId/quizzes/:quizId/responses", async (req, res) => {
+router.get("/:classId/quizzes/:quizId/review", async (req, res) => {
   try {
     const decoded = req.user;
+    const { classId, quizId } = req.params;
 
-    if (!decoded || decoded.role !== "student") {
-      return res.status(403).json({ error: "Forbidden - Only authenticated students can access this endpoint" });
-    }
+    const myClass = await Class.findById(classId);
 
-    const { classId, quizId } = req.params;
-    const { student_id, responses } = req.body;
+    if (!myClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
 
     const quiz = await Quiz.findById(quizId);
-    //fixed
-    const endDate = new Date();
-    endDate.setMinutes(quiz.start_date.getMinutes() + quiz.duration);
-    const currentDate = new Date();
-    if(!quiz){
+
+    if (!quiz || !quiz.class_id.equals(classId)) {
       return res.status(404).json({ error: "Quiz not found" });
     }
-    if(!quiz || currentDate > quiz.start_date && currentDate > endDate){
-      return res.status(403).json({ error: "Forbidden - Quiz has already passed" });
-    }
-    if(!quiz || currentDate < quiz.start_date){
-      return res.status(403).json({ error: "Forbidden - Quiz has not started" });
-    }
-    const isStudentTakeExam = await StudentResponse.findOne({student_id:student_id, quiz_id:quizId});
-    if(isStudentTakeExam){
-      return res.status(403).json({ error: "Forbidden - Student has already taken the Quiz !" });
+
+    const audience = audienceFor(decoded, myClass);
+    let studentId;
+    if (audience === "teacher") {
+      studentId = req.query.student_id;
+      if (!studentId) {
+        return res.status(400).json({ error: "student_id is required" });
+      }
+    } else {
+      if (decoded.role !== "student" || !myClass.students.includes(decoded.id)) {
+        return res.status(403).json({ error: "User is not authorized to access this quiz" });
+      }
+      const accommodations = await Accommodation.find({ quiz_id: quiz._id });
+      if (!isReleased(quiz, "review", new Date(), accommodations)) {
+        return res.status(403).json({ error: "Forbidden - Review is not released yet" });
+      }
+      studentId = decoded.id;
     }
-    const allResponses = [];
 
-    for (const response of responses) {
-      const { question_id, selected_options } = response;
+    const filter = { student_id: studentId, quiz_id: quizId };
+    if (req.query.attempt) filter.attempt = Number(req.query.attempt);
 
-      if (!question_id || !selected_options || !Array.isArray(selected_options)) {
-        return res.status(400).json({ error: "Invalid format for response" });
-      }
+    const studentResponse = await StudentResponse.findOne(filter).sort({ attempt: -1 });
 
-      allResponses.push({
-        question_id,
-        selected_options,
-      });
+    if (!studentResponse) {
+      return res.status(404).json({ error: "Submission not found" });
     }
-    const correctResponses = quiz.questions.map(question => ({
-      question_id: question._id.toString(),
-      selected_options: question.options.filter(option => option.is_correct).map(option => option._id.toString()),
-    }));
 
-    const studentResponseinfo = new StudentResponse({
-      student_id,
-      quiz_id: quizId,
-      responses: allResponses,
-    });
+    const result = await StudentResult.findOne({ response_id: studentResponse._id });
+    const variant = studentResponse.variant_id ? await QuizVariant.findById(studentResponse.variant_id) : null;
+    const answeredQuiz = await quizAtVersion(quiz, studentResponse.quiz_version);
 
-    await studentResponseinfo.save();
-    const numberOfQuestions = quiz.questions.length;
-    const score = await calculateAndStoreResults(student_id, quizId, correctResponses, responses, numberOfQuestions);
-    
-    res.json({ message: "Student responses stored successfully", score:score, out_of:numberOfQuestions});
+    res.json({ review: buildReview(variantQuestions(answeredQuiz, variant), studentResponse, result) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
-/**
- * @swagger
- * tags:
- *   name: Results
- *   description: Results-related endpoints
- */
+
 /**
  * @swagger
  * /api/classes/{classId}/quizzes/{quizId}/results/{studentId}:
  *   get:
  *     summary: Get the result of a student in a quiz
+ *     description: Top level score is the effective grade following the quiz attempt policy, every attempt is listed under attempts. Students only get their result once the score is released, and the per-question breakdown once the review is released.
  *     tags: [Results]
  *     security:
  *       - BearerAuth: []
@@ -1025,23 +3704,83 @@ router.post("/:classId/quizzes/:quizId/responses", async (req, res) => {
  *         content:
  *           application/json:
  *             example:
- *               score: 5
+ *               score: 4.5
  *               out_of: 10
+ *               attempt: 2
+ *               attempt_count: 2
+ *               status: "final"
+ *               grade_policy: "best"
+ *               attempts:
+ *                 - attempt: 1
+ *                   score: 3
+ *                   out_of: 10
+ *                   status: "final"
+ *                   submitted_at: "2024-01-20T12:30:00Z"
+ *                   late: true
+ *                   late_minutes: 12
+ *                   late_penalty: 1
+ *                   breakdown:
+ *                     - question_id: "questionId1"
+ *                       points_awarded: 0.5
+ *                       points_possible: 1
+ *                       is_correct: false
+ *       403:
+ *         description: Forbidden - Result of another student or class, or not released yet
  *       404:
- *         description: Student result not found
+ *         description: Class, quiz or student result not found
  *       500:
  *         description: Internal Server Error
  */
 
 router.get("/:classId/quizzes/:quizId/results/:studentId", async (req, res) => {
   try {
-    const { quizId, studentId } = req.params;
-    const studentResult = await StudentResult.findOne({ student_id: studentId, quiz_id: quizId });
+    const decoded = req.user;
+    const { classId, quizId, studentId } = req.params;
+    const quiz = await Quiz.findById(quizId);
+
+    if (!quiz || !quiz.class_id.equals(classId)) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const myClass = await Class.findById(classId);
+
+    if (!myClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    // students only get their own result, teachers those of their class
+    const audience = audienceFor(decoded, myClass);
+    if (audience === "student" && (decoded.role !== "student" || String(decoded.id) !== String(studentId))) {
+      return res.status(403).json({ error: "Forbidden - User is not authorized to access this result" });
+    }
+
+    const studentResults = await StudentResult.find({ student_id: studentId, quiz_id: quizId }).sort({ attempt: 1 });
 
-    if (!studentResult) {
+    if (studentResults.length === 0) {
       return res.status(404).json({ error: "Student result not found" });
     }
-    res.json({ score: studentResult.score, out_of: studentResult.out_of });
+
+    const now = new Date();
+    const accommodations = await Accommodation.find({ quiz_id: quiz._id });
+    if (audience === "student" && !isReleased(quiz, "score", now, accommodations)) {
+      return res.status(403).json({ error: "Forbidden - Results are not released yet" });
+    }
+    const showBreakdown = audience === "teacher" || isReleased(quiz, "review", now, accommodations);
+
+    const grade = effectiveGrade(studentResults, quiz.attempt_policy);
+    const attempts = studentResults.map((result) => ({
+      attempt: result.attempt,
+      score: result.score,
+      out_of: result.out_of,
+      status: result.status,
+      submitted_at: result.submitted_at,
+      late: result.late,
+      late_minutes: result.late_minutes,
+      late_penalty: result.late_penalty,
+      breakdown: showBreakdown ? result.breakdown : undefined,
+    }));
+
+    res.json({ ...grade, grade_policy: quiz.attempt_policy.grade, attempts });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: "Internal Server Error" });
@@ -1084,9 +3823,18 @@ router.get("/:classId/quizzes/:quizId/results/:studentId", async (req, res) => {
  *                     quiz_name: "uml"
  *                   score: 0
  *                   out_of: 2
+ *                   attempt: 1
  *                   submitted_at: "2024-01-17T21:30:32.705Z"
  *                   __v: 0
- *               average_score: 4.5
+ *               grades:
+ *                 - student_id:
+ *                     _id: "65a31695c007a2f91fc20d4e"
+ *                     full_name: "mohsine"
+ *                   score: 0
+ *                   out_of: 2
+ *                   attempt: 1
+ *                   attempt_count: 1
+ *                   status: "final"
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
@@ -1113,14 +3861,15 @@ router.get("/:classId/quizzes/:quizId/results", async (req, res) => {
     }
 
     // Ensure the teacher is the owner of the class
-    if (!quiz.class_id.equals(classId)) {
+    const myClass = await Class.findById(classId);
+    if (!quiz.class_id.equals(classId) || !myClass || audienceFor(decoded, myClass) !== "teacher") {
       return res.status(403).json({ error: "Forbidden - You are not the teacher of this class" });
     }
 
     // Retrieve all student results for the given quiz
-    const results = await StudentResult.find({ quiz_id: quizId }).populate('student_id', 'full_name').populate('quiz_id', 'quiz_name');
+    const results = await StudentResult.find({ quiz_id: quizId }).sort({ attempt: 1 }).populate('student_id', 'full_name').populate('quiz_id', 'quiz_name');
 
-    res.json({ results });
+    res.json({ results: results.map((result) => serializeResult(result, "teacher")), grades: gradesByStudent(results, quiz.attempt_policy) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: "Internal Server Error" });
@@ -1185,16 +3934,25 @@ router.get("/:classId/quizzes/:quizId/csvresults", async (req, res) => {
     if (!currentclass) {
       return res.status(404).json({ error: "Class not found" });
     }
-    const results = await StudentResult.find({ quiz_id: quizId }).populate('quiz_id', 'quiz_name').populate('student_id', 'full_name');
+    if (audienceFor(decoded, currentclass) !== "teacher") {
+      return res.status(403).json({ error: "Forbidden - You are not the teacher of this class" });
+    }
+    const results = await StudentResult.find({ quiz_id: quizId }).sort({ attempt: 1 }).populate('quiz_id', 'quiz_name').populate('student_id', 'full_name');
+    const grades = new Map(
+      gradesByStudent(results, quiz.attempt_policy).map((grade) => [studentKey(grade.student_id), grade])
+    );
     const resultsWithAdditionalInfo = results.map(result => {
+      const grade = grades.get(studentKey(result.student_id));
       return {
         ...result.toObject(),
+        effective_score: grade.score,
+        effective_out_of: grade.out_of,
         quiz_name: quiz.quiz_name,
         class_name: currentclass.class_name,
       };
     });
     // console.log(resultsWithAdditionalInfo);
-    const csvData = json2csv(resultsWithAdditionalInfo, { fields: [{ label: 'full_name', value: 'student_id.full_name'}, 'submitted_at','score','out_of', 'quiz_name', 'class_name'] });
+    const csvData = json2csv(resultsWithAdditionalInfo, { fields: [{ label: 'full_name', value: 'student_id.full_name'}, 'attempt', 'submitted_at','score','out_of', 'late', 'late_minutes', 'late_penalty', 'effective_score', 'effective_out_of', 'quiz_name', 'class_name'] });
     res.setHeader('Content-Type', 'text/csv');
     res.attachment(`quiz_results_${quizId}.csv`);
     res.send(csvData);
@@ -1204,6 +3962,300 @@ router.get("/:classId/quizzes/:quizId/csvresults", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/classes/{classId}/quizzes/{quizId}/analysis:
+ *   get:
+ *     summary: Item analysis of a quiz (for teachers)
+ *     description: >
+ *       Computed from the first attempt of every student, graded against the
+ *       current answer key; essays count once graded. For each question,
+ *       `p_value` is the fraction of students who got it right,
+ *       `discrimination` the point-biserial correlation between getting it
+ *       right and the number of other questions answered right, and
+ *       `options` tells how often each option was picked. `flags` marks
+ *       questions that are too hard (p_value below 0.3), too easy (above
+ *       0.9), with a discrimination below 0.2, or with a wrong option picked
+ *       more often than the right one. `kr20` is the reliability of the whole
+ *       quiz over the `kr20_students` students who answered every question,
+ *       null when it cannot be computed. With `format=csv` every option gets
+ *       a row.
+ *     tags: [Results]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: path
+ *         name: quizId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the quiz
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The item analysis
+ *         content:
+ *           application/json:
+ *             example:
+ *               analysis:
+ *                 quiz_id: "quizId"
+ *                 quiz_name: "Fractions"
+ *                 students: 24
+ *                 kr20: 0.71
+ *                 kr20_students: 24
+ *                 questions:
+ *                   - question_id: "questionId"
+ *                     position: 1
+ *                     question_text: "1/2 + 1/4"
+ *                     question_type: "choice"
+ *                     students: 24
+ *                     correct: 6
+ *                     omitted: 1
+ *                     p_value: 0.25
+ *                     discrimination: 0.12
+ *                     options:
+ *                       - option_id: "optionId1"
+ *                         option_text: "3/4"
+ *                         is_correct: true
+ *                         picked: 6
+ *                         picked_fraction: 0.25
+ *                       - option_id: "optionId2"
+ *                         option_text: "2/6"
+ *                         is_correct: false
+ *                         picked: 17
+ *                         picked_fraction: 0.708
+ *                     flags: [too_hard, low_discrimination, misleading_distractor]
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class or quiz not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/quizzes/:quizId/analysis", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId, quizId } = req.params;
+    const { format = "json" } = req.query;
+
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ error: "format must be json or csv" });
+    }
+
+    const currentClass = await Class.findById(classId);
+
+    if (!currentClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, currentClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const analysis = analyzeItems(quiz, await loadSubmissions(quiz));
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv");
+      res.attachment(`quiz_analysis_${quizId}.csv`);
+      return res.send(json2csv(analysisRows(analysis), { fields: ANALYSIS_CSV_FIELDS }));
+    }
+
+    res.json({ analysis });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/classes/{classId}/gradebook:
+ *   get:
+ *     summary: Gradebook of a class across its quizzes (for teachers)
+ *     description: >
+ *       A row per student of the class and a column per quiz, drafts left
+ *       out. Each cell is the grade that counts under the quiz attempt
+ *       policy (`graded`, flagged `late` or `provisional`), `missing` once
+ *       the quiz closed for the student without a submission, `excused`
+ *       when the student's accommodation excuses them, or `pending` while
+ *       they can still take it. Averages are percentages with every quiz
+ *       weighing the same: a student's average counts missing quizzes as
+ *       0, a quiz average only counts graded students. Excused and pending
+ *       cells count for neither.
+ *     tags: [Results]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the class
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: name
+ *         description: "name, average or the ID of a quiz to sort by its column; students without a value come last"
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: include_archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The gradebook
+ *         content:
+ *           application/json:
+ *             example:
+ *               gradebook:
+ *                 quizzes:
+ *                   - _id: "quizId"
+ *                     quiz_name: "Fractions"
+ *                     state: "closed"
+ *                     graded: 1
+ *                     average: 80
+ *                 students:
+ *                   - student: { _id: "studentId1", full_name: "Ada Lovelace" }
+ *                     average: 80
+ *                     cells:
+ *                       - quiz_id: "quizId"
+ *                         status: "graded"
+ *                         score: 8
+ *                         out_of: 10
+ *                         percent: 80
+ *                         late: true
+ *                         provisional: false
+ *                         attempts: 1
+ *                   - student: { _id: "studentId2", full_name: "Alan Turing" }
+ *                     average: null
+ *                     cells:
+ *                       - quiz_id: "quizId"
+ *                         status: "excused"
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid sort, order or format
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - User is not the teacher of this class
+ *       404:
+ *         description: Class not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:classId/gradebook", async (req, res) => {
+  try {
+    const decoded = req.user;
+    const { classId } = req.params;
+    const { sort = "name", order = "asc", format = "json", include_archived } = req.query;
+
+    if (!["json", "csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ error: "format must be json, csv or xlsx" });
+    }
+
+    const currentClass = await Class.findById(classId).populate("students", "full_name");
+
+    if (!currentClass) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    if (audienceFor(decoded, currentClass) !== "teacher") {
+      return res.status(403).json({ error: "User is not the teacher of this class" });
+    }
+
+    const now = new Date();
+    const quizzes = (await Quiz.find({ class_id: classId }).sort({ start_date: 1, _id: 1 }))
+      .filter((quiz) => {
+        const state = quizState(quiz, now);
+        return state !== "draft" && (include_archived === "true" || state !== "archived");
+      });
+    const quizIds = quizzes.map((quiz) => quiz._id);
+
+    const gradebook = buildGradebook({
+      students: currentClass.students,
+      quizzes,
+      results: await StudentResult.find({ quiz_id: { $in: quizIds } }),
+      accommodations: await Accommodation.find({ quiz_id: { $in: quizIds } }),
+      now,
+    });
+
+    const sortError = sortGradebook(gradebook, sort, order);
+    if (sortError) {
+      return res.status(400).json({ error: sortError });
+    }
+
+    if (format === "json") {
+      return res.json({ gradebook });
+    }
+
+    const table = gradebookTable(gradebook);
+    if (format === "xlsx") {
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.attachment(`gradebook_${classId}.xlsx`);
+      return res.send(buildXlsx(currentClass.class_name || "Gradebook", table));
+    }
+
+    const [header, ...rows] = table;
+    const fields = header.map((label, index) => ({ label, value: String(index) }));
+    res.setHeader("Content-Type", "text/csv");
+    res.attachment(`gradebook_${classId}.csv`);
+    res.send(json2csv(rows.map((row) => ({ ...row })), { fields }));
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ error: "Class not found" });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
 /**
  * @swagger
  * /api/classes/{classId}/remove-student:
@@ -1360,10 +4412,11 @@ router.delete("/:classId/quizzes/:quizId", async (req, res) => {
 
     // console.log(existingClass)
     // console.log(quizIndex)
-    const quiz = await Quiz.findById(quizId);
+    const quiz = await Quiz.findOne({ _id: quizId, class_id: classId });
     if (quizIndex === -1 && !quiz || !quiz) {
       return res.status(404).json({ error: "Quiz not found" });
     }
+    await removeQuizMedia(quiz);
     await quiz.deleteOne();
 
     if(quizIndex!=-1)
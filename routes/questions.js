@@ -0,0 +1,328 @@
+const { BankQuestion } = require("../models/models");
+const express = require("express");
+const router = express.Router();
+
+// Fields a teacher may set on a bank question
+const EDITABLE_FIELDS = [
+  "question_text",
+  "question_type",
+  "options",
+  "is_multiple_choice",
+  "points",
+  "explanation",
+  "numeric_answer",
+  "text_answer",
+  "tags",
+  "difficulty",
+];
+
+const pickEditable = (body) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+  );
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Question Bank
+ *   description: Reusable questions owned by a teacher
+ */
+
+/**
+ * @swagger
+ * /api/questions:
+ *   get:
+ *     summary: Search the question bank of the authenticated teacher
+ *     tags: [Question Bank]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text to look for in the question text
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma separated tags, questions must have all of them
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *       - in: query
+ *         name: question_type
+ *         schema:
+ *           type: string
+ *           enum: [choice, numeric, short_text, essay]
+ *     responses:
+ *       200:
+ *         description: Successful retrieval of bank questions
+ *         content:
+ *           application/json:
+ *             example:
+ *               questions:
+ *                 - _id: "bankQuestionId"
+ *                   question_text: "2 + 2"
+ *                   tags: ["arithmetic"]
+ *                   difficulty: "easy"
+ *                   options: [{ option_text: "4", is_correct: true }]
+ *       403:
+ *         description: Forbidden - User is not a teacher
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const { q, tags, difficulty, question_type } = req.query;
+    const filter = { teacher_id: decoded.id };
+
+    if (q) filter.question_text = { $regex: escapeRegex(String(q)), $options: "i" };
+    if (tags) {
+      filter.tags = {
+        $all: String(tags).split(",").map((tag) => tag.trim().toLowerCase()).filter(Boolean),
+      };
+    }
+    if (difficulty) filter.difficulty = String(difficulty);
+    if (question_type) filter.question_type = String(question_type);
+
+    const questions = await BankQuestion.find(filter).sort({ updatedAt: -1 });
+
+    res.json({ questions });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/questions:
+ *   post:
+ *     summary: Add a question to the bank of the authenticated teacher
+ *     tags: [Question Bank]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             question_text: "2 + 2"
+ *             tags: ["arithmetic"]
+ *             difficulty: "easy"
+ *             options:
+ *               - option_text: "4"
+ *                 is_correct: true
+ *               - option_text: "5"
+ *                 is_correct: false
+ *     responses:
+ *       200:
+ *         description: Successful creation of a bank question
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Question created successfully
+ *               question: { _id: "bankQuestionId", question_text: "2 + 2" }
+ *       400:
+ *         description: Invalid question
+ *       403:
+ *         description: Forbidden - User is not a teacher
+ *       500:
+ *         description: Internal Server Error
+ */
+router.post("/", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const question = new BankQuestion({ ...pickEditable(req.body), teacher_id: decoded.id });
+    await question.save();
+
+    res.json({ message: "Question created successfully", question });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/questions/{questionId}:
+ *   get:
+ *     summary: Get a question of the bank
+ *     tags: [Question Bank]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the bank question
+ *     responses:
+ *       200:
+ *         description: Successful retrieval of the question
+ *       403:
+ *         description: Forbidden - User is not a teacher
+ *       404:
+ *         description: Question not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.get("/:questionId", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const question = await BankQuestion.findOne({ _id: req.params.questionId, teacher_id: decoded.id });
+
+    if (!question) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    res.json({ question });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/questions/{questionId}:
+ *   patch:
+ *     summary: Update a question of the bank
+ *     description: Quizzes keep their own copy, so updating a bank question does not change existing quizzes.
+ *     tags: [Question Bank]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the bank question
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             tags: ["arithmetic", "grade-3"]
+ *             difficulty: "medium"
+ *     responses:
+ *       200:
+ *         description: Successful update of the question
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Question updated successfully
+ *       400:
+ *         description: Invalid question
+ *       403:
+ *         description: Forbidden - User is not a teacher
+ *       404:
+ *         description: Question not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.patch("/:questionId", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const question = await BankQuestion.findOne({ _id: req.params.questionId, teacher_id: decoded.id });
+
+    if (!question) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    question.set(pickEditable(req.body));
+    await question.save();
+
+    res.json({ message: "Question updated successfully", question });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/questions/{questionId}:
+ *   delete:
+ *     summary: Delete a question of the bank
+ *     description: Quizzes that already use the question keep their copy.
+ *     tags: [Question Bank]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the bank question
+ *     responses:
+ *       200:
+ *         description: Successful deletion of the question
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: Question deleted successfully
+ *       403:
+ *         description: Forbidden - User is not a teacher
+ *       404:
+ *         description: Question not found
+ *       500:
+ *         description: Internal Server Error
+ */
+router.delete("/:questionId", async (req, res) => {
+  try {
+    const decoded = req.user;
+
+    if (decoded.role !== "teacher") {
+      return res.status(403).json({ error: "User is not a teacher" });
+    }
+
+    const question = await BankQuestion.findOneAndDelete({ _id: req.params.questionId, teacher_id: decoded.id });
+
+    if (!question) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    res.json({ message: "Question deleted successfully" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+module.exports = router;
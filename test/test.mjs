@@ -1,13 +1,1242 @@
 import * as chai from 'chai';
 import supertest from 'supertest';
+import jwt from 'jsonwebtoken';
 import app from '../app.js';
+import models from '../models/models.js';
+import calculateResult from '../utils/calculateResult.js';
+import questionBank from '../utils/questionBank.js';
+import quizVariant from '../utils/quizVariant.js';
+import attempts from '../utils/attempts.js';
+import quizWindow from '../utils/quizWindow.js';
+import submission from '../utils/submission.js';
+import serializers from '../utils/serializers.js';
+import releasePolicy from '../utils/releasePolicy.js';
+import review from '../utils/review.js';
+import importers from '../utils/importers/index.js';
+import qtiExport from '../utils/exporters/qti.js';
+import printable from '../utils/printable.js';
+import quizVersions from '../utils/quizVersions.js';
+import regrade from '../utils/regrade.js';
+import quizLifecycle from '../utils/quizLifecycle.js';
+import latePolicy from '../utils/latePolicy.js';
+import quizCopy from '../utils/quizCopy.js';
+import media from '../utils/media.js';
+import richText from '../utils/richText.js';
+import itemAnalysis from '../utils/itemAnalysis.js';
+import gradebookUtils from '../utils/gradebook.js';
+import xlsx from '../utils/exporters/xlsx.js';
+import AdmZip from 'adm-zip';
+import createLocalStorage from '../utils/storage/local.js';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 const expect = chai.expect;
 const request = supertest(app);
+const { Quiz, BankQuestion, QuizAttempt } = models;
+const { gradeResponses, summarize } = calculateResult;
+const { toQuizQuestion, resolveBankQuestions } = questionBank;
+const { buildVariant, variantQuestions } = quizVariant;
+const { checkNextAttempt, effectiveGrade, finishAttempt } = attempts;
+const { windowState, attemptMinutes } = quizWindow;
+const { mergeResponses, parseResponses } = submission;
+const { serializeQuiz, serializeClass } = serializers;
+const { isReleased } = releasePolicy;
+const { buildReview } = review;
+const { importQuestions, detectFormat } = importers;
+const { buildQtiPackage } = qtiExport;
+const { buildPaper, renderHtml, renderPdf } = printable;
+const { diffVersions, keepQuestionIds } = quizVersions;
+const { parseOverrides, correctedQuestions, regradeResult } = regrade;
+const { quizState, startError, applyTransition } = quizLifecycle;
+const { lateMinutes, latePenalty, applyLatePenalty } = latePolicy;
+const { parseSchedule, copyQuiz } = quizCopy;
+const { detectMediaType, checkUpload, referencedMedia } = media;
+const { renderRichText, renderInlineRichText, htmlToText } = richText;
+const { analyzeItems, analysisRows } = itemAnalysis;
+const { buildGradebook, sortGradebook, gradebookTable } = gradebookUtils;
 
 describe('Express App', () => {
   it('should return a 200 on GET /', async () => {
     const response = await request.get('/');
     expect(response.status).to.equal(200);
   });
-});
\ No newline at end of file
+});
+describe('quiz routes', () => {
+  const { Class, Teacher, Student, StudentResult, Accommodation } = models;
+  const teacherId = new Quiz()._id;
+  const studentId = new Quiz()._id;
+  const ownClass = new Class({ class_name: 'Own', teacher_id: teacherId, students: [studentId] });
+  const otherClass = new Class({ class_name: 'Other', teacher_id: new Quiz()._id, students: [new Quiz()._id] });
+  const quizIn = (cls) => new Quiz({
+    quiz_name: cls.class_name,
+    class_id: cls._id,
+    start_date: new Date(Date.now() - 60 * 1000),
+    duration: 60,
+    questions: [
+      { question_text: 'Pick', options: [{ option_text: 'a', is_correct: true }] },
+      { question_text: 'Explain', question_type: 'essay', points: 2 },
+    ],
+  });
+  const ownQuiz = quizIn(ownClass);
+  const otherQuiz = quizIn(otherClass);
+  const same = (left, right) => String(left) === String(right);
+
+  const stubs = [];
+  const stub = (model, method, implementation) => {
+    stubs.push([model, method, model[method]]);
+    model[method] = implementation;
+  };
+  let secret;
+
+  beforeEach(() => {
+    secret = process.env.JWT_SECRET;
+    process.env.JWT_SECRET = secret || 'test-secret';
+    stub(Teacher, 'findById', async (id) => ({ _id: id }));
+    stub(Student, 'findById', async (id) => ({ _id: id }));
+    stub(Class, 'findById', async (id) => [ownClass, otherClass].find((cls) => same(cls._id, id)) || null);
+    // unscoped lookups would find the quiz of the other class
+    stub(Quiz, 'findById', async (id) => [ownQuiz, otherQuiz].find((quiz) => same(quiz._id, id)) || null);
+    stub(Quiz, 'findOne', async ({ _id, class_id: classId }) => [ownQuiz, otherQuiz]
+      .find((quiz) => same(quiz._id, _id) && (!classId || same(quiz.class_id, classId))) || null);
+  });
+
+  afterEach(() => {
+    stubs.splice(0).reverse().forEach(([model, method, original]) => { model[method] = original; });
+    process.env.JWT_SECRET = secret;
+  });
+
+  const token = (id, role) => `Bearer ${jwt.sign({ id, role }, process.env.JWT_SECRET)}`;
+  const asTeacher = (req) => req.set('Authorization', token(teacherId, 'teacher'));
+  const asStudent = (req) => req.set('Authorization', token(studentId, 'student'));
+
+  it('only opens or deletes quizzes of the class in the path', async () => {
+    const opened = await asTeacher(request.get(`/api/classes/${ownClass._id}/quizzes/${otherQuiz._id}`));
+    expect(opened.status).to.equal(404);
+
+    const deleted = await asTeacher(request.delete(`/api/classes/${ownClass._id}/quizzes/${otherQuiz._id}`));
+    expect(deleted.status).to.equal(404);
+  });
+
+  it('does not start an attempt when a student opens a submitted quiz', async () => {
+    const created = [];
+    stub(Accommodation, 'findOne', async () => null);
+    stub(QuizAttempt, 'findOne', () => ({ sort: async () => null }));
+    stub(QuizAttempt, 'create', async (attempt) => created.push(attempt));
+
+    const opened = await asStudent(request.get(`/api/classes/${ownClass._id}/quizzes/${ownQuiz._id}`));
+    expect(opened.status).to.equal(200);
+    expect(opened.body).to.include({ state: 'open', attempt: null });
+    expect(opened.body.quiz.questions).to.deep.equal([]);
+    expect(created).to.deep.equal([]);
+  });
+
+  it('imports rows sent as JSON without a format', async () => {
+    const imported = await asTeacher(request.post(`/api/classes/${ownClass._id}/quizzes/import`)).send({
+      content: [{ question_text: 'Capital of Italy', options: 'Rome|Paris', correct: 'A' }],
+      quiz_name: 'Capitals',
+      dry_run: true,
+    });
+    expect(imported.status).to.equal(200);
+    expect(imported.body).to.include({ imported: 1, dry_run: true });
+    expect(imported.body.quiz.questions[0].options.map((option) => option.is_correct)).to.deep.equal([true, false]);
+  });
+
+  it('only grades hand-graded answers of quizzes of the class in the path', async () => {
+    const [pick, essay] = ownQuiz.questions;
+    const result = new StudentResult({
+      quiz_id: ownQuiz._id,
+      student_id: studentId,
+      breakdown: [
+        { question_id: pick._id, points_awarded: 1, points_possible: 1 },
+        { question_id: essay._id, points_awarded: 0, points_possible: 2, needs_grading: true },
+      ],
+    });
+    stub(StudentResult, 'findOne', async ({ _id, quiz_id: quizId }) => (same(_id, result._id) && same(quizId, result.quiz_id) ? result : null));
+    const grade = (quiz, questionId) => asTeacher(request.post(`/api/classes/${ownClass._id}/quizzes/${quiz._id}/grading-queue/${result._id}`))
+      .send({ grades: [{ question_id: questionId, score: 0 }] });
+
+    expect((await grade(otherQuiz, essay._id)).status).to.equal(404);
+    const automatic = await grade(ownQuiz, pick._id);
+    expect(automatic.status).to.equal(400);
+    expect(automatic.body.error).to.equal(`Question ${pick._id} is graded automatically`);
+  });
+
+  it('only saves drafts of students of the class for questions of their attempt', async () => {
+    const draft = (cls, quiz, questionId) => asStudent(request.put(`/api/classes/${cls._id}/quizzes/${quiz._id}/draft`))
+      .send({ responses: [{ question_id: questionId, answer: '4' }] });
+    const attempt = new QuizAttempt({
+      quiz_id: ownQuiz._id,
+      student_id: studentId,
+      started_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    stub(QuizAttempt, 'findOne', () => ({ sort: async () => attempt }));
+
+    expect((await draft(otherClass, otherQuiz, otherQuiz.questions[0]._id)).status).to.equal(403);
+    expect((await draft(ownClass, otherQuiz, otherQuiz.questions[0]._id)).status).to.equal(404);
+    const unknown = await draft(ownClass, ownQuiz, otherQuiz.questions[0]._id);
+    expect(unknown.status).to.equal(400);
+    expect(unknown.body.error).to.equal(`Question ${otherQuiz.questions[0]._id} not found in quiz`);
+  });
+});
+
+describe('calculateResult scoring', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Scoring',
+    questions: [
+      {
+        question_text: 'Pick the primes',
+        is_multiple_choice: true,
+        points: 2,
+        options: [
+          { option_text: '2', is_correct: true },
+          { option_text: '3', is_correct: true },
+          { option_text: '4', is_correct: false },
+        ],
+      },
+      {
+        question_text: '1 + 1',
+        points: 1,
+        options: [
+          { option_text: '2', is_correct: true },
+          { option_text: '3', is_correct: false },
+        ],
+      },
+    ],
+  });
+  const [multi, single] = quiz.questions;
+  const answer = (question, ...indexes) => ({
+    question_id: question._id.toString(),
+    selected_options: indexes.map((i) => question.options[i]._id.toString()),
+  });
+
+  it('ignores the order of the selected options', () => {
+    const result = gradeResponses(quiz.questions, [answer(multi, 1, 0), answer(single, 0)]);
+    expect(result.score).to.equal(3);
+    expect(result.out_of).to.equal(3);
+  });
+
+  it('gives no credit for a partially correct answer by default', () => {
+    const result = gradeResponses(quiz.questions, [answer(multi, 0)]);
+    expect(result.score).to.equal(0);
+    expect(result.breakdown[0].is_correct).to.equal(false);
+  });
+
+  it('gives partial credit floored at zero', () => {
+    const policy = { mode: 'partial' };
+    expect(gradeResponses(quiz.questions, [answer(multi, 0)], policy).score).to.equal(1);
+    expect(gradeResponses(quiz.questions, [answer(multi, 0, 2)], policy).score).to.equal(0);
+  });
+
+  it('applies negative marking to wrong answers only', () => {
+    const policy = { negative_marking: true, penalty: 0.5 };
+    const result = gradeResponses(quiz.questions, [answer(single, 1)], policy);
+    expect(result.breakdown[0].points_awarded).to.equal(0);
+    expect(result.breakdown[1].points_awarded).to.equal(-0.5);
+  });
+});
+
+describe('calculateResult free answers', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Free answers',
+    questions: [
+      {
+        question_text: 'g on earth',
+        question_type: 'numeric',
+        numeric_answer: { value: 9.81, tolerance: 0.01, tolerance_type: 'relative', unit: 'm/s^2' },
+      },
+      {
+        question_text: 'Process plants use to make food',
+        question_type: 'short_text',
+        text_answer: { accepted_answers: ['photosynthesis'], pattern: 'colou?r' },
+      },
+    ],
+  });
+  const [numeric, text] = quiz.questions;
+  const grade = (question, answer) =>
+    gradeResponses([question], [{ question_id: question._id.toString(), answer }]).score;
+
+  it('accepts numeric answers within tolerance and with matching units', () => {
+    expect(grade(numeric, '9.8')).to.equal(1);
+    expect(grade(numeric, '9.9 m/s^2')).to.equal(1);
+    expect(grade(numeric, '9.8 km')).to.equal(0);
+    expect(grade(numeric, '10.5')).to.equal(0);
+  });
+
+  it('normalizes short text answers and matches patterns', () => {
+    expect(grade(text, '  PhotoSynthesis ')).to.equal(1);
+    expect(grade(text, 'Colour')).to.equal(1);
+    expect(grade(text, 'respiration')).to.equal(0);
+  });
+
+  it('rejects free-answer questions without an answer key', () => {
+    const question = new Quiz({ questions: [{ question_text: 'x', question_type: 'numeric' }] });
+    expect(question.validateSync().errors).to.have.property('questions.0.numeric_answer');
+  });
+});
+
+describe('calculateResult essays', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Essay',
+    questions: [
+      { question_text: 'Explain photosynthesis', question_type: 'essay', points: 5 },
+      { question_text: '1 + 1', options: [{ option_text: '2', is_correct: true }] },
+    ],
+  });
+  const [essay, choice] = quiz.questions;
+
+  it('keeps answered essays provisional until they are graded', () => {
+    const result = gradeResponses(quiz.questions, [
+      { question_id: essay._id.toString(), answer: 'Light becomes sugar' },
+      { question_id: choice._id.toString(), selected_options: [choice.options[0]._id.toString()] },
+    ]);
+    expect(result.status).to.equal('provisional');
+    expect(result.score).to.equal(1);
+    expect(result.out_of).to.equal(6);
+
+    result.breakdown[0].points_awarded = 4;
+    result.breakdown[0].needs_grading = false;
+    expect(summarize(result.breakdown)).to.deep.equal({ score: 5, out_of: 6, status: 'final' });
+  });
+
+  it('does not queue unanswered essays', () => {
+    expect(gradeResponses(quiz.questions, []).status).to.equal('final');
+  });
+});
+
+describe('question bank', () => {
+  it('copies bank questions into quizzes without bank-only fields', () => {
+    const bankQuestion = new BankQuestion({
+      teacher_id: new Quiz()._id,
+      question_text: '2 + 2',
+      tags: ['Arithmetic'],
+      difficulty: 'easy',
+      options: [{ option_text: '4', is_correct: true }],
+    });
+    const question = toQuizQuestion(bankQuestion);
+
+    expect(question).to.not.have.any.keys('_id', 'teacher_id', 'tags', 'difficulty');
+    expect(question.options[0]).to.not.have.property('_id');
+    expect(question.bank_question_id).to.equal(bankQuestion._id);
+    expect(new Quiz({ questions: [question] }).validateSync()).to.equal(undefined);
+  });
+
+  it('rejects bank ids that are not an array', async () => {
+    const error = await resolveBankQuestions(new Quiz()._id, 'abc').catch((caught) => caught);
+    expect(error).to.include({ status: 400, message: 'question_bank_ids must be an array' });
+    expect(await resolveBankQuestions(new Quiz()._id, undefined)).to.deep.equal([]);
+  });
+});
+
+describe('quiz variants', () => {
+  const options = [
+    { option_text: 'a', is_correct: true },
+    { option_text: 'b', is_correct: false },
+    { option_text: 'c', is_correct: false },
+  ];
+  const quiz = new Quiz({
+    quiz_name: 'Pools',
+    randomization: { shuffle_questions: true, shuffle_options: true, pools: [{ name: 'easy', draw: 2 }] },
+    questions: [
+      { question_text: 'fixed', options },
+      ...[1, 2, 3, 4].map((n) => ({ question_text: `easy ${n}`, pool: 'easy', options })),
+    ],
+  });
+
+  it('draws the same variant for the same seed', () => {
+    const first = buildVariant(quiz, 'quiz:student');
+    expect(buildVariant(quiz, 'quiz:student')).to.deep.equal(first);
+    expect(first).to.have.length(3);
+    expect(first.map((item) => item.question_id.toString())).to.include(quiz.questions[0]._id.toString());
+  });
+
+  it('grades only the questions of the variant', () => {
+    const variant = { questions: buildVariant(quiz, 'quiz:other') };
+    const questions = variantQuestions(quiz, variant);
+    const result = gradeResponses(
+      questions,
+      questions.map((question) => ({
+        question_id: question._id.toString(),
+        selected_options: [question.options.find((option) => option.is_correct)._id.toString()],
+      }))
+    );
+    expect(result).to.include({ score: 3, out_of: 3 });
+  });
+});
+
+describe('attempts', () => {
+  const quiz = new Quiz({ attempt_policy: { max_attempts: 2, cooldown_minutes: 10 } });
+  const submittedAt = new Date('2024-01-20T12:00:00Z');
+
+  it('limits attempts and enforces the cooldown', () => {
+    expect(checkNextAttempt(quiz, [])).to.include({ allowed: true, attempt: 1 });
+    const once = [{ submitted_at: submittedAt }];
+    expect(checkNextAttempt(quiz, once, new Date('2024-01-20T12:05:00Z')).allowed).to.equal(false);
+    expect(checkNextAttempt(quiz, once, new Date('2024-01-20T12:11:00Z'))).to.include({ allowed: true, attempt: 2 });
+    expect(checkNextAttempt(quiz, [...once, ...once], new Date('2024-01-21')).allowed).to.equal(false);
+  });
+
+  it('picks the best, last or average attempt', () => {
+    const results = [
+      { attempt: 1, score: 8, out_of: 10, status: 'final' },
+      { attempt: 2, score: 4, out_of: 10, status: 'final' },
+    ];
+    expect(effectiveGrade(results, { grade: 'best' })).to.include({ score: 8, attempt: 1 });
+    expect(effectiveGrade(results, { grade: 'last' })).to.include({ score: 4, attempt: 2 });
+    expect(effectiveGrade(results, { grade: 'average' })).to.include({ score: 6, out_of: 10 });
+  });
+
+  it('releases the attempt when its answers cannot be stored', async () => {
+    const claimed = new QuizAttempt({ quiz_id: quiz._id, student_id: new Quiz()._id, status: 'submitted' });
+    const released = [];
+    const { findOneAndUpdate, updateOne } = QuizAttempt;
+    QuizAttempt.findOneAndUpdate = async () => claimed;
+    QuizAttempt.updateOne = async (filter, update) => released.push([filter, update]);
+    try {
+      const error = await finishAttempt(quiz, claimed, [{ question_id: 'q1', answer: '4' }]).catch((err) => err);
+      expect(error.name).to.equal('ValidationError');
+      expect(released).to.deep.equal([[{ _id: claimed._id, status: 'submitted' }, { status: 'in_progress' }]]);
+    } finally {
+      Object.assign(QuizAttempt, { findOneAndUpdate, updateOne });
+    }
+  });
+});
+
+describe('quiz window', () => {
+  const quiz = new Quiz({ start_date: new Date('2024-01-20T12:50:00Z'), duration: 30 });
+
+  it('spans duration minutes from the start date, across hours', () => {
+    expect(windowState(quiz, new Date('2024-01-20T12:40:00Z'))).to.equal('not_started');
+    expect(windowState(quiz, new Date('2024-01-20T13:10:00Z'))).to.equal('open');
+    expect(windowState(quiz, new Date('2024-01-20T13:21:00Z'))).to.equal('passed');
+  });
+
+  it('follows the alternate window and extra time of an accommodation', () => {
+    const accommodation = {
+      start_date: new Date('2024-01-22T09:00:00Z'),
+      end_date: new Date('2024-01-22T11:00:00Z'),
+      duration_multiplier: 1.5,
+      extra_minutes: 5,
+      extra_attempts: 1,
+    };
+    expect(windowState(quiz, new Date('2024-01-20T13:10:00Z'), accommodation)).to.equal('not_started');
+    expect(windowState(quiz, new Date('2024-01-22T10:30:00Z'), accommodation)).to.equal('open');
+    expect(attemptMinutes(quiz, accommodation)).to.equal(50);
+    expect(attemptMinutes(quiz)).to.equal(30);
+    expect(checkNextAttempt(quiz, [{ submitted_at: new Date('2024-01-20T13:00:00Z') }], new Date(), accommodation))
+      .to.include({ allowed: true, attempt: 2 });
+  });
+});
+
+describe('draft responses', () => {
+  it('replaces saved answers per question and keeps the others', () => {
+    const saved = [
+      { question_id: 'q1', selected_options: ['a'] },
+      { question_id: 'q2', answer: '4' },
+    ];
+    const merged = mergeResponses(saved, [{ question_id: 'q2', answer: '5' }]);
+    expect(merged).to.deep.equal([
+      { question_id: 'q1', selected_options: ['a'] },
+      { question_id: 'q2', answer: '5' },
+    ]);
+  });
+
+  it('rejects answers whose ids would not save', () => {
+    const questionId = String(new Quiz()._id);
+    expect(parseResponses([{ question_id: 'q1', answer: '4' }])).to.deep.equal({ error: 'Invalid question_id q1' });
+    expect(parseResponses([{ question_id: questionId, selected_options: ['a'] }])).to.deep.equal({ error: 'Invalid option id a' });
+    expect(parseResponses([{ question_id: questionId, answer: 4 }]).responses[0]).to.include({ answer: '4' });
+  });
+});
+
+describe('serializers', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Keys',
+    randomization: { shuffle_options: true },
+    questions: [
+      { question_text: 'Pick', pool: 'p', options: [{ option_text: 'a', is_correct: true }] },
+      { question_text: 'Type', question_type: 'short_text', text_answer: { accepted_answers: ['x'] } },
+    ],
+  });
+
+  it('hides answer keys and internal fields from students', () => {
+    const view = serializeQuiz(quiz, 'student');
+    expect(view).to.not.have.property('randomization');
+    expect(view.questions[0].options[0]).to.not.have.property('is_correct');
+    expect(view.questions[0]).to.not.have.property('pool');
+    expect(view.questions[1]).to.not.have.property('text_answer');
+  });
+
+  it('keeps the full quiz for the owning teacher', () => {
+    const view = serializeQuiz(quiz, 'teacher');
+    expect(view.questions[0].options[0].is_correct).to.equal(true);
+    expect(view.questions[1].text_answer.accepted_answers).to.deep.equal(['x']);
+  });
+
+  it('hides classmates from students', () => {
+    const cls = { class_name: 'Math', students: ['s1', 's2'], quizzes: [] };
+    expect(serializeClass(cls, 'student')).to.include({ student_count: 2 }).and.not.have.property('students');
+  });
+});
+
+describe('release policy and review', () => {
+  const start = new Date('2024-01-20T12:00:00Z');
+
+  it('releases the review after the last attempt could have ended', () => {
+    const quiz = new Quiz({ start_date: start, duration: 30 });
+    expect(isReleased(quiz, 'score', new Date('2024-01-20T12:10:00Z'))).to.equal(true);
+    expect(isReleased(quiz, 'review', new Date('2024-01-20T12:45:00Z'))).to.equal(false);
+    expect(isReleased(quiz, 'review', new Date('2024-01-20T13:01:00Z'))).to.equal(true);
+  });
+
+  it('waits for students with extra time before releasing after close', () => {
+    const quiz = new Quiz({ start_date: start, duration: 30 });
+    const accommodations = [{ duration_multiplier: 2 }];
+    expect(isReleased(quiz, 'review', new Date('2024-01-20T13:01:00Z'), accommodations)).to.equal(false);
+    expect(isReleased(quiz, 'review', new Date('2024-01-20T13:31:00Z'), accommodations)).to.equal(true);
+  });
+
+  it('releases after close once the teacher closed the quiz', () => {
+    const quiz = new Quiz({ start_date: start, duration: 30, status: 'closed' });
+    expect(isReleased(quiz, 'review', new Date('2024-01-20T12:10:00Z'))).to.equal(true);
+
+    const untimed = new Quiz({ start_date: start });
+    expect(isReleased(untimed, 'review', new Date('2024-03-01'))).to.equal(false);
+    untimed.status = 'archived';
+    expect(isReleased(untimed, 'review', new Date('2024-03-01'))).to.equal(true);
+  });
+
+  it('supports a release date and never', () => {
+    const quiz = new Quiz({
+      start_date: start,
+      duration: 30,
+      release_policy: { score: 'never', review: 'on_date', release_date: new Date('2024-02-01') },
+    });
+    expect(isReleased(quiz, 'score', new Date('2024-01-25'))).to.equal(false);
+    expect(isReleased(quiz, 'score', new Date('2024-02-02'))).to.equal(true);
+  });
+
+  it('lists answers next to the answer key', () => {
+    const quiz = new Quiz({
+      questions: [{ question_text: '2 + 2', options: [{ option_text: '4', is_correct: true }, { option_text: '5', is_correct: false }] }],
+    });
+    const [question] = quiz.questions;
+    const responses = [{ question_id: question._id, selected_options: [question.options[1]._id] }];
+    const review = buildReview(quiz.questions, { responses }, { score: 0, out_of: 1, ...gradeResponses(quiz.questions, responses) });
+
+    expect(review.questions[0].options.map((option) => option.selected)).to.deep.equal([false, true]);
+    expect(review.questions[0].options[0].is_correct).to.equal(true);
+    expect(review.questions[0].is_correct).to.equal(false);
+  });
+});
+
+describe('feedback', () => {
+  const quiz = new Quiz({
+    questions: [{
+      question_text: '2 + 2',
+      explanation: 'Count on your fingers',
+      options: [{ option_text: '4', is_correct: true }, { option_text: '5', is_correct: false, feedback: 'Off by one' }],
+    }],
+  });
+
+  it('is hidden from students while taking the quiz', () => {
+    const [question] = serializeQuiz(quiz, 'student').questions;
+    expect(question).to.not.have.property('explanation');
+    expect(question.options[1]).to.not.have.property('feedback');
+  });
+
+  it('shows up in the review', () => {
+    const { questions } = buildReview(quiz.questions, { responses: [] }, null);
+    expect(questions[0].explanation).to.equal('Count on your fingers');
+    expect(questions[0].options[1].feedback).to.equal('Off by one');
+  });
+});
+
+describe('quiz import', () => {
+  it('parses GIFT questions and warns about unsupported ones', () => {
+    const gift = [
+      '// a comment',
+      '::Sum:: 2 + 2 = ? {=4 #Right ~5 #Off by one ####Count on your fingers}',
+      '',
+      'Pi {#3.14:0.01}',
+      '',
+      '::Capitals:: {=France -> Paris =Italy -> Rome}',
+      '',
+      'Capital of France? {=Paris =paris}',
+    ].join('\n');
+    const { questions, warnings } = importQuestions('gift', gift);
+
+    expect(questions.map((question) => question.question_type)).to.deep.equal(['choice', 'numeric', 'short_text']);
+    expect(questions[0].options[1]).to.include({ option_text: '5', is_correct: false, feedback: 'Off by one' });
+    expect(questions[0].explanation).to.equal('Count on your fingers');
+    expect(questions[1].numeric_answer).to.include({ value: 3.14, tolerance: 0.01 });
+    expect(warnings).to.have.lengthOf(1);
+    expect(warnings[0]).to.include({ position: 3, title: 'Capitals' });
+  });
+
+  it('keeps GIFT true/false feedback and warns about partial credit', () => {
+    const gift = [
+      'The sun is a star {T#It is one#Right, a star}',
+      '',
+      'Pick the primes {~%50%2 ~%50%3 ~%-100%4}',
+    ].join('\n');
+    const { questions, warnings } = importQuestions('gift', gift);
+
+    expect(questions[0].options).to.deep.equal([
+      { option_text: 'True', is_correct: true, feedback: 'Right, a star' },
+      { option_text: 'False', is_correct: false, feedback: 'It is one' },
+    ]);
+    expect(questions[1]).to.include({ is_multiple_choice: true });
+    expect(warnings).to.deep.equal([
+      { position: 2, title: undefined, message: 'Partial credit answers were imported as correct' },
+    ]);
+  });
+
+  it('detects the format of content sent without a file name', () => {
+    const rows = [{ question_text: 'Capital of Italy', options: 'Rome|Paris', correct: 'A' }];
+    expect(detectFormat(undefined, rows)).to.equal('json');
+    expect(detectFormat(undefined, JSON.stringify(rows))).to.equal('json');
+    expect(detectFormat(undefined, 'question_text,options,correct\nCapital of Italy,Rome|Paris,A')).to.equal('csv');
+    expect(detectFormat(undefined, buildQtiPackage(new Quiz({ quiz_name: 'Q' })).toString('base64'))).to.equal('qti');
+    expect(detectFormat(undefined, 'Capital of Italy? {=Rome ~Paris}')).to.equal('gift');
+  });
+
+  it('parses Moodle XML questions', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+      <quiz>
+        <question type="multichoice">
+          <name><text>Pick</text></name>
+          <questiontext format="html"><text><![CDATA[<p>Pick <b>A</b></p>]]></text></questiontext>
+          <defaultgrade>2</defaultgrade>
+          <single>true</single>
+          <answer fraction="100"><text>A</text></answer>
+          <answer fraction="0"><text>B</text><feedback><text>Nope</text></feedback></answer>
+        </question>
+        <question type="numerical">
+          <questiontext><text>Length</text></questiontext>
+          <answer fraction="100"><text>5</text><tolerance>0.1</tolerance></answer>
+          <units><unit><multiplier>1</multiplier><unit_name>m</unit_name></unit></units>
+        </question>
+        <question type="ddwtos"><questiontext><text>Drag</text></questiontext></question>
+      </quiz>`;
+    const { questions, warnings } = importQuestions(detectFormat('bank.xml', xml), xml);
+
+    expect(questions).to.have.lengthOf(2);
+    expect(questions[0]).to.include({ question_text: 'Pick A', points: 2, is_multiple_choice: false });
+    expect(questions[0].options[1].feedback).to.equal('Nope');
+    expect(questions[1].numeric_answer).to.include({ value: 5, tolerance: 0.1, unit: 'm' });
+    expect(warnings).to.have.lengthOf(1);
+    expect(warnings[0].position).to.equal(3);
+  });
+});
+
+describe('QTI', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Physics & <Chemistry>',
+    duration: 45,
+    scoring_policy: { mode: 'partial' },
+    randomization: { shuffle_options: true },
+    questions: [
+      {
+        question_text: 'Pick the noble gases\nMore than one is right',
+        is_multiple_choice: true,
+        points: 2,
+        explanation: 'Group 18',
+        options: [
+          { option_text: ' Neon', is_correct: true },
+          { option_text: 'Argon  (Ar) ', is_correct: true },
+          { option_text: 'Oxygen', is_correct: false, feedback: 'Group 16' },
+        ],
+      },
+      {
+        question_text: 'g in m/s²',
+        question_type: 'numeric',
+        pool: 'constants',
+        numeric_answer: { value: 9.81, tolerance: 0.07, tolerance_type: 'relative', unit: 'm/s²' },
+      },
+      {
+        question_text: 'Symbol of gold',
+        question_type: 'short_text',
+        text_answer: { accepted_answers: ['Au'], case_sensitive: true, normalize_whitespace: false, pattern: 'A[uU]' },
+      },
+      { question_text: 'Explain entropy', question_type: 'essay', points: 5 },
+    ],
+  });
+
+  it('round-trips a quiz through the exporter and importer', () => {
+    const zip = buildQtiPackage(quiz);
+    expect(detectFormat('quiz.zip', zip)).to.equal('qti');
+
+    const { questions, warnings, quiz: settings } = importQuestions('qti', zip);
+    const strip = (question) => JSON.parse(JSON.stringify(new models.Question(question).toObject(), (key, value) => (key === '_id' ? undefined : value)));
+
+    expect(warnings).to.deep.equal([]);
+    expect(questions.map(strip)).to.deep.equal(quiz.questions.map((question) => strip(question.toObject())));
+    expect(settings).to.include({ quiz_name: 'Physics & <Chemistry>', duration: 45 });
+    expect(settings.scoring_policy.mode).to.equal('partial');
+    expect(settings.randomization.shuffle_options).to.equal(true);
+  });
+
+  it('only restores the quiz policies from the manifest', () => {
+    const zip = new AdmZip(buildQtiPackage(quiz));
+    const manifest = zip.readAsText('imsmanifest.xml').replace(
+      /<quiz:settings>.*<\/quiz:settings>/,
+      `<quiz:settings>${JSON.stringify({ status: 'published', class_id: 'other', attempt_policy: 'unlimited', late_policy: { grace_minutes: 5 } })
+        .replace(/"/g, '&quot;')}</quiz:settings>`
+    );
+    zip.updateFile('imsmanifest.xml', Buffer.from(manifest));
+
+    const { quiz: settings } = importQuestions('qti', zip.toBuffer());
+    expect(settings).to.have.keys('quiz_name', 'duration', 'late_policy');
+    expect(settings.late_policy).to.deep.equal({ grace_minutes: 5 });
+  });
+
+  it('rejects files that are not QTI packages', () => {
+    expect(() => importQuestions('qti', Buffer.from('not a zip'))).to.throw('Invalid QTI package');
+  });
+});
+
+describe('spreadsheet import', () => {
+  it('reads CSV rows and reports errors with their row number', () => {
+    const csv = [
+      'question_text,option_1,option_2,option_3,correct,points',
+      'Capital of France?,Paris,London,Rome,A,',
+      '"Primes, pick two",2,4,5,"1,3",2',
+      '',
+      'Missing option,a,b,,D,',
+      ',x,y,,1,',
+    ].join('\n');
+    const { questions, errors } = importQuestions(detectFormat('questions.csv', csv), csv);
+
+    expect(questions).to.have.lengthOf(2);
+    expect(questions[0].options.map((option) => option.is_correct)).to.deep.equal([true, false, false]);
+    expect(questions[1]).to.include({ is_multiple_choice: true, points: 2 });
+    expect(errors.map((error) => error.position)).to.deep.equal([5, 6]);
+    expect(errors[0].message).to.contain('"D"');
+  });
+
+  it('reads JSON rows in the spreadsheet or the quiz format', () => {
+    const json = JSON.stringify([
+      { question_text: '2 + 2', options: ['3', '4'], correct: '2' },
+      { question_text: 'Roots of x²', options: [{ option_text: '0', is_correct: true }] },
+      { question_text: 'Unknown type', question_type: 'matching' },
+    ]);
+    const { questions, errors } = importQuestions('json', json);
+
+    expect(questions.map((question) => question.question_text)).to.deep.equal(['2 + 2', 'Roots of x²']);
+    expect(questions[0].options[1].is_correct).to.equal(true);
+    expect(errors).to.have.lengthOf(1);
+    expect(errors[0].position).to.equal(3);
+  });
+});
+
+describe('printable quizzes', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Fractions <final>',
+    duration: 30,
+    questions: Array.from({ length: 6 }, (unused, index) => ({
+      question_text: `Question ${index + 1}`,
+      options: ['w', 'x', 'y', 'z'].map((text, optionIndex) => ({
+        option_text: `${text}${index}`,
+        is_correct: optionIndex === index % 4,
+      })),
+    })),
+  });
+  const cls = { class_name: 'Grade 5' };
+
+  it('keeps the quiz order for a single copy', () => {
+    const [variant] = buildPaper(quiz, cls).variants;
+    expect(variant.label).to.equal(null);
+    expect(variant.questions.map((question) => question.question_text)).to.deep.equal(quiz.questions.map((question) => question.question_text));
+    expect(variant.questions[1].answer).to.equal('b');
+  });
+
+  it('shuffles labelled variants, each with a matching key', () => {
+    const { variants } = buildPaper(quiz, cls, 3);
+    expect(variants.map((variant) => variant.label)).to.deep.equal(['A', 'B', 'C']);
+    expect(variants[0].questions.map((question) => question.question_text))
+      .to.not.deep.equal(variants[1].questions.map((question) => question.question_text));
+
+    variants.forEach((variant) => variant.questions.forEach((question) => {
+      const index = Number(question.question_text.split(' ')[1]) - 1;
+      const correct = question.options.find((option) => option.letter === question.answer);
+      expect(correct.option_text).to.equal(`${['w', 'x', 'y', 'z'][index % 4]}${index}`);
+    }));
+    expect(buildPaper(quiz, cls, 3)).to.deep.equal(buildPaper(quiz, cls, 3));
+  });
+
+  it('renders HTML and PDF documents', async () => {
+    const paper = buildPaper(quiz, cls, 2);
+    const html = renderHtml(paper);
+    expect(html).to.contain('Fractions &lt;final&gt; &ndash; Variant B').and.contain('Grade 5');
+    expect(renderHtml(paper, { key: true })).to.contain('Answer key');
+
+    const pdf = await renderPdf(paper, { key: true });
+    expect(pdf.subarray(0, 5).toString()).to.equal('%PDF-');
+  });
+
+  it('prints rendered texts and flags questions with media', async () => {
+    const mediaId = new Quiz()._id;
+    const rich = new Quiz({
+      quiz_name: 'Rich',
+      questions: [
+        { question_text: 'Solve **$x^2 = 4$**', media: [mediaId], options: [{ option_text: '*two*', is_correct: true }] },
+        { question_text: 'Plain', options: [{ option_text: 'a', is_correct: true, media: [mediaId] }] },
+        { question_text: 'No media', options: [{ option_text: 'b', is_correct: true }] },
+      ],
+    });
+    const paper = buildPaper(rich, cls);
+    const html = renderHtml(paper);
+    expect(html).to.contain('<strong><span class="katex">').and.contain('<li><em>two</em></li>');
+    expect(paper.variants[0].questions.map((question) => question.has_media)).to.deep.equal([true, true, false]);
+    expect(html.match(/not included in this printout/g)).to.have.length(2);
+    expect(htmlToText(paper.variants[0].questions[0].question_html)).to.equal('Solve x^2 = 4');
+
+    const pdf = await renderPdf(paper);
+    expect(pdf.subarray(0, 5).toString()).to.equal('%PDF-');
+  });
+});
+
+describe('quiz versions', () => {
+  let nextId = 0;
+  const question = (text, correct) => ({
+    _id: `question${++nextId}`,
+    question_text: text,
+    options: [{ option_text: 'yes', is_correct: correct }, { option_text: 'no', is_correct: !correct }],
+    is_multiple_choice: false,
+  });
+
+  it('reports changed settings and questions', () => {
+    const kept = question('Kept', true);
+    const edited = question('Edited', true);
+    const removed = question('Removed', false);
+    const from = { version: 1, quiz_name: 'Quiz', duration: 30, questions: [kept, edited, removed] };
+    const to = {
+      version: 2,
+      quiz_name: 'Quiz',
+      duration: 45,
+      questions: [{ ...edited, _id: 'regenerated', options: [...edited.options].reverse() }, kept, question('Added', true)],
+    };
+
+    const diff = diffVersions(from, to);
+    expect(diff.from).to.equal(1);
+    expect(diff.to).to.equal(2);
+    expect(diff.settings).to.deep.equal([{ field: 'duration', from: 30, to: 45 }]);
+    expect(diff.questions.added.map((item) => item.question_text)).to.deep.equal(['Added']);
+    expect(diff.questions.removed.map((item) => item.question_text)).to.deep.equal(['Removed']);
+    expect(diff.questions.changed).to.have.length(1);
+    expect(diff.questions.changed[0].previous_question_id).to.equal(edited._id);
+    expect(diff.questions.changed[0].fields).to.deep.equal(['options']);
+    expect(diff.questions.reordered).to.equal(true);
+  });
+
+  it('finds no differences between identical versions', () => {
+    const questions = [question('One', true), question('Two', false)];
+    const diff = diffVersions({ quiz_name: 'Quiz', questions }, { quiz_name: 'Quiz', questions });
+    expect(diff.settings).to.deep.equal([]);
+    expect(diff.questions).to.deep.equal({ added: [], removed: [], changed: [], reordered: false });
+  });
+
+  it('keeps the ids of replaced questions and options', () => {
+    const options = [{ option_text: 'yes', is_correct: true }, { option_text: 'no', is_correct: false }];
+    const quiz = new Quiz({
+      quiz_name: 'Quiz',
+      questions: ['One', 'Two', 'Three'].map((text) => ({ question_text: text, options })),
+    });
+    const [one, two, three] = quiz.questions;
+    const edited = keepQuestionIds(quiz.questions, [
+      { _id: two._id, question_text: 'Two, reworded', options: [{ option_text: 'no', is_correct: true }] },
+      { question_text: 'One', options: [{ _id: 'unknown', option_text: 'maybe' }, { option_text: 'yes' }] },
+      { _id: three._id, question_text: 'One' },
+      { _id: 'unknown', question_text: 'Four' },
+    ]);
+
+    const ids = (items) => items.map((item) => item._id && String(item._id));
+    expect(ids(edited)).to.deep.equal(ids([two, one, three, {}]));
+    expect(ids(edited[0].options)).to.deep.equal(ids([two.options[1]]));
+    expect(ids(edited[1].options)).to.deep.equal(ids([{}, one.options[0]]));
+  });
+});
+
+describe('regrade', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Regrade',
+    questions: [
+      {
+        question_text: 'Capital of France',
+        options: [{ option_text: 'Paris', is_correct: false }, { option_text: 'Rome', is_correct: true }],
+        is_multiple_choice: false,
+      },
+      { question_text: 'Ambiguous', options: [{ option_text: 'a', is_correct: true }, { option_text: 'b', is_correct: false }], is_multiple_choice: false },
+      { question_text: 'Explain', question_type: 'essay', points: 4 },
+    ],
+  });
+  const [capital, ambiguous, essay] = quiz.questions;
+  const responses = [
+    { question_id: capital._id, selected_options: [capital.options[0]._id] },
+    { question_id: ambiguous._id, selected_options: [ambiguous.options[1]._id] },
+    { question_id: essay._id, answer: 'Because' },
+  ];
+  const gradedAt = new Date('2024-01-01');
+  const original = {
+    score: 3,
+    out_of: 6,
+    status: 'final',
+    breakdown: [
+      { question_id: capital._id, points_awarded: 0, points_possible: 1 },
+      { question_id: ambiguous._id, points_awarded: 0, points_possible: 1 },
+      { question_id: essay._id, points_awarded: 3, points_possible: 4, comment: 'Good', graded_at: gradedAt },
+    ],
+  };
+
+  it('applies a corrected key and keeps manual essay grades', () => {
+    const corrected = new Quiz(quiz.toObject());
+    corrected.questions[0].options[0].is_correct = true;
+    corrected.questions[0].options[1].is_correct = false;
+
+    const questions = correctedQuestions(quiz.questions, corrected.questions);
+    const regraded = regradeResult(original, questions, responses, corrected);
+    expect(regraded).to.include({ score: 4, out_of: 6, status: 'final' });
+    expect(regraded.breakdown[2]).to.include({ points_awarded: 3, comment: 'Good', graded_at: gradedAt, needs_grading: false });
+  });
+
+  it('regrades with a key corrected through a quiz edit', () => {
+    // the teacher sends the questions back without ids, as an edit form would
+    const sent = quiz.toObject().questions.map(({ _id, options, ...question }) => ({
+      ...question,
+      options: options.map(({ _id: optionId, ...option }) => ({ ...option, is_correct: !option.is_correct })),
+    }));
+    const edited = new Quiz({ ...quiz.toObject(), questions: keepQuestionIds(quiz.questions, sent) });
+
+    const questions = correctedQuestions(quiz.questions, edited.questions);
+    const regraded = regradeResult(original, questions, responses, edited);
+    expect(regraded).to.include({ score: 5, out_of: 6 });
+    expect(regraded.breakdown.map((entry) => entry.points_awarded)).to.deep.equal([1, 1, 3]);
+  });
+
+  it('gives full credit or drops questions', () => {
+    const regraded = regradeResult(original, quiz.questions, responses, {
+      grading_overrides: [
+        { question_id: ambiguous._id, action: 'full_credit' },
+        { question_id: essay._id, action: 'drop' },
+      ],
+    });
+    expect(regraded).to.include({ score: 1, out_of: 2, status: 'final' });
+    expect(regraded.breakdown.map((entry) => entry.override)).to.deep.equal([undefined, 'full_credit', 'drop']);
+  });
+
+  it('validates overrides against the quiz', () => {
+    expect(parseOverrides([{ question_id: capital._id, action: 'drop' }], quiz).overrides).to.have.length(1);
+    expect(parseOverrides([{ question_id: capital._id, action: 'halve' }], quiz)).to.have.property('error');
+    expect(parseOverrides([{ question_id: 'unknown', action: 'drop' }], quiz)).to.have.property('error');
+    expect(parseOverrides('drop', quiz)).to.have.property('error');
+  });
+});
+
+describe('quiz lifecycle', () => {
+  const start = new Date('2024-01-20T12:00:00Z');
+  const before = new Date('2024-01-20T11:00:00Z');
+  const during = new Date('2024-01-20T12:10:00Z');
+  const after = new Date('2024-01-20T13:00:00Z');
+  const makeQuiz = (status) => new Quiz({
+    quiz_name: 'Lifecycle',
+    start_date: start,
+    duration: 30,
+    status,
+    questions: [{ question_text: 'Q', options: [{ option_text: 'a', is_correct: true }] }],
+  });
+
+  it('derives the state of published quizzes from their window', () => {
+    const quiz = makeQuiz();
+    expect(quiz.status).to.equal('published');
+    expect(quizState(quiz, before)).to.equal('scheduled');
+    expect(quizState(quiz, during)).to.equal('open');
+    expect(quizState(quiz, after)).to.equal('closed');
+    expect(quizState(makeQuiz('draft'), during)).to.equal('draft');
+    expect(startError(makeQuiz('closed'), during)).to.equal('Forbidden - Quiz is closed');
+    expect(startError(quiz, during)).to.equal(null);
+  });
+
+  it('moves a quiz from draft to archived', () => {
+    const quiz = makeQuiz('draft');
+    expect(applyTransition(quiz, 'publish', before)).to.deep.equal({ from: 'draft', to: 'scheduled' });
+    expect(quiz.published_at).to.deep.equal(before);
+    expect(applyTransition(quiz, 'close', during)).to.deep.equal({ from: 'open', to: 'closed' });
+    expect(applyTransition(quiz, 'reopen', during)).to.deep.equal({ from: 'closed', to: 'open' });
+    expect(applyTransition(quiz, 'archive', after)).to.deep.equal({ from: 'closed', to: 'archived' });
+    expect(applyTransition(quiz, 'unarchive', after)).to.deep.equal({ from: 'archived', to: 'closed' });
+  });
+
+  it('rejects transitions that do not apply', () => {
+    expect(applyTransition(makeQuiz('draft'), 'close', before)).to.have.property('error');
+    expect(applyTransition(makeQuiz(), 'unpublish', during)).to.have.property('error');
+    expect(applyTransition(makeQuiz('draft'), 'publish', after)).to.have.property('error');
+    expect(applyTransition(makeQuiz(), 'delete', before)).to.have.property('error');
+
+    const empty = makeQuiz('draft');
+    empty.questions = [];
+    expect(applyTransition(empty, 'publish', before).error).to.equal('A quiz needs questions to be published');
+  });
+});
+
+describe('late policy', () => {
+  const quiz = new Quiz({
+    start_date: new Date('2024-01-20T12:00:00Z'),
+    duration: 30,
+    late_policy: { grace_minutes: 5, late_window_minutes: 60, penalty_type: 'percent_per_hour', penalty: 10, max_penalty: 15 },
+  });
+
+  it('accepts submissions during the grace period and late window', () => {
+    expect(windowState(quiz, new Date('2024-01-20T12:33:00Z'))).to.equal('late');
+    expect(quizState(quiz, new Date('2024-01-20T13:30:00Z'))).to.equal('open');
+    expect(quizState(quiz, new Date('2024-01-20T13:36:00Z'))).to.equal('closed');
+    expect(lateMinutes(quiz, new Date('2024-01-20T12:34:00Z'))).to.equal(0);
+    expect(lateMinutes(quiz, new Date('2024-01-20T12:45:30Z'))).to.equal(11);
+  });
+
+  it('computes capped percentage and flat penalties', () => {
+    expect(latePenalty(quiz.late_policy, 11, 20)).to.equal(2);
+    expect(latePenalty(quiz.late_policy, 61, 20)).to.equal(3);
+    expect(latePenalty({ penalty_type: 'percent_per_minute', penalty: 1 }, 30, 10)).to.equal(3);
+    expect(latePenalty({ penalty_type: 'flat', penalty: 2 }, 90, 10)).to.equal(2);
+    expect(latePenalty({ penalty_type: 'none', penalty: 2 }, 90, 10)).to.equal(0);
+  });
+
+  it('flags late results and never takes the score below zero', () => {
+    const policy = { penalty_type: 'flat', penalty: 2 };
+    expect(applyLatePenalty({ score: 7, out_of: 10, status: 'final' }, policy, 4))
+      .to.deep.equal({ score: 5, out_of: 10, status: 'final', late: true, late_minutes: 4, late_penalty: 2 });
+    expect(applyLatePenalty({ score: 1, out_of: 10 }, policy, 4)).to.include({ score: 0, late_penalty: 1 });
+    expect(applyLatePenalty({ score: 7, out_of: 10 }, policy, 0)).to.include({ score: 7, late: false, late_penalty: 0 });
+  });
+});
+
+describe('quiz copy', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Fractions',
+    class_id: new Quiz()._id,
+    start_date: new Date('2024-01-20T12:00:00Z'),
+    duration: 30,
+    status: 'published',
+    version: 3,
+    release_policy: { review: 'on_date', release_date: new Date('2024-01-22T12:00:00Z') },
+    questions: [{ question_text: '1/2 + 1/4', options: [{ option_text: '3/4', is_correct: true }, { option_text: '2/6', is_correct: false }] }],
+  });
+  quiz.grading_overrides = [{ question_id: quiz.questions[0]._id, action: 'drop' }];
+  const target = new Quiz()._id;
+
+  it('makes an unscheduled draft with new ids by default', () => {
+    const copy = copyQuiz(quiz, target);
+    expect(copy._id.equals(quiz._id)).to.equal(false);
+    expect(copy.class_id.equals(target)).to.equal(true);
+    expect(copy).to.include({ quiz_name: 'Fractions', duration: 30, status: 'draft', version: 1, start_date: undefined });
+    expect(copy.copied_from.equals(quiz._id)).to.equal(true);
+    expect(copy.grading_overrides).to.have.length(0);
+    expect(copy.release_policy.release_date).to.equal(undefined);
+    expect(copy.questions[0]._id.equals(quiz.questions[0]._id)).to.equal(false);
+    expect(copy.questions[0].options.map((option) => option.is_correct)).to.deep.equal([true, false]);
+  });
+
+  it('shifts or sets the start and release dates', () => {
+    const shifted = copyQuiz(quiz, target, parseSchedule({ shift_days: 7 }).schedule);
+    expect(shifted.start_date.toISOString()).to.equal('2024-01-27T12:00:00.000Z');
+    expect(shifted.release_policy.release_date.toISOString()).to.equal('2024-01-29T12:00:00.000Z');
+
+    const scheduled = copyQuiz(quiz, target, parseSchedule({ start_date: '2024-09-10T08:00:00Z' }).schedule);
+    expect(scheduled.start_date.toISOString()).to.equal('2024-09-10T08:00:00.000Z');
+    expect(scheduled.release_policy.release_date.toISOString()).to.equal('2024-09-12T08:00:00.000Z');
+  });
+
+  it('rejects invalid schedules', () => {
+    expect(parseSchedule({ shift_days: 'soon' })).to.have.property('error');
+    expect(parseSchedule({ start_date: 'tomorrow' })).to.have.property('error');
+    expect(parseSchedule({ start_date: '2024-09-10', shift_days: 1 })).to.have.property('error');
+  });
+});
+
+describe('media', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+  it('recognises files by their content', () => {
+    expect(detectMediaType(png)).to.equal('image/png');
+    expect(detectMediaType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).to.equal('image/jpeg');
+    expect(detectMediaType(Buffer.from('GIF89a'))).to.equal('image/gif');
+    expect(detectMediaType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).to.equal('image/webp');
+    expect(detectMediaType(Buffer.from('%PDF-1.7'))).to.equal('application/pdf');
+    expect(detectMediaType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).to.equal(null);
+    expect(detectMediaType(Buffer.alloc(0))).to.equal(null);
+  });
+
+  it('checks uploads for type and size', () => {
+    expect(checkUpload({ buffer: png, size: png.length, mimetype: 'image/png' })).to.deep.equal({ mimeType: 'image/png' });
+    expect(checkUpload({ buffer: Buffer.from('MZ'), size: 2, mimetype: 'image/png' })).to.have.property('error');
+    expect(checkUpload({ buffer: png, size: media.MAX_MEDIA_BYTES + 1 })).to.have.property('error');
+    expect(checkUpload(undefined)).to.have.property('error');
+  });
+
+  it('lists the media referenced by questions and options', () => {
+    const [a, b] = [new Quiz()._id, new Quiz()._id];
+    const quiz = new Quiz({
+      questions: [{ question_text: 'Which shape?', media: [a], options: [{ option_text: 'This one', is_correct: true, media: [b, a] }] }],
+    });
+    expect(referencedMedia(quiz.questions)).to.deep.equal([String(a), String(b)]);
+  });
+
+  it('keeps files inside the local storage root', async () => {
+    const root = await mkdtemp(join(tmpdir(), 'media-'));
+    try {
+      const storage = createLocalStorage({ root });
+      await storage.save('class/quiz/file', png);
+      expect((await storage.read('class/quiz/file')).equals(png)).to.equal(true);
+      await storage.remove('class/quiz/file');
+      await storage.remove('class/quiz/file');
+      expect(() => storage.read('../outside')).to.throw('Invalid storage key');
+    } finally {
+      await rm(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('rich text', () => {
+  it('renders Markdown and LaTeX math', () => {
+    const html = renderRichText('Solve **$x^2 = 4$**\n\n$$\n\\frac{a}{b}\n$$');
+    expect(html).to.match(/^<p>Solve <strong><span class="katex">/);
+    expect(html).to.include('<annotation encoding="application/x-tex">x^2 = 4</annotation>');
+    expect(html).to.include('<div class="math-block"><span class="katex-display">');
+    expect(renderRichText('```\nconst a = 1;\n```')).to.equal('<pre><code>const a = 1;\n</code></pre>');
+  });
+
+  it('leaves currency amounts alone', () => {
+    expect(renderInlineRichText('Between $5 and $10')).to.equal('Between $5 and $10');
+  });
+
+  it('never lets markup or scripts through', () => {
+    expect(renderRichText('<img src=x onerror=alert(1)>')).to.equal('<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    expect(renderRichText('[link](javascript:alert(1))')).to.not.include('href');
+    expect(renderRichText('$\\href{javascript:alert(1)}{x}$')).to.not.include('javascript:alert(1)"');
+    expect(renderRichText('![pic](data:image/png;base64,AAAA)')).to.not.include('data:');
+  });
+
+  it('renders question and option texts on validation', async () => {
+    const quiz = new Quiz({
+      quiz_name: 'Rich',
+      class_id: new Quiz()._id,
+      questions: [{ question_text: 'What is *$\\pi$*?', options: [{ option_text: '<b>3.14</b>', is_correct: true }] }],
+    });
+    await quiz.validate();
+    expect(quiz.questions[0].question_html).to.match(/^<p>What is <em><span class="katex">/);
+    expect(quiz.questions[0].options[0].option_html).to.equal('&lt;b&gt;3.14&lt;/b&gt;');
+    expect(serializeQuiz(quiz, 'student').questions[0].options[0]).to.include({ option_html: '&lt;b&gt;3.14&lt;/b&gt;' });
+  });
+});
+
+describe('item analysis', () => {
+  const quiz = new Quiz({
+    quiz_name: 'Fractions',
+    questions: ['1/2 + 1/4', '1/3 + 1/3', '1/2 * 1/2'].map((text) => ({
+      question_text: text,
+      options: [{ option_text: 'right', is_correct: true }, { option_text: 'wrong', is_correct: false }],
+    })),
+  });
+  // 1 for a right answer, 0 for a wrong one, null when left blank
+  const submissions = [[1, 1, 1], [1, 1, 0], [1, 0, 0], [0, 0, null], [1, 1, 1]].map((pattern) => {
+    const responses = pattern.map((right, index) => ({
+      question_id: quiz.questions[index]._id,
+      selected_options: right == null ? [] : [quiz.questions[index].options[right ? 0 : 1]._id],
+    }));
+    return { responses, breakdown: gradeResponses(quiz.questions, responses).breakdown };
+  });
+
+  it('computes p-values, discrimination and distractor counts', () => {
+    const analysis = analyzeItems(quiz, submissions);
+    expect(analysis.students).to.equal(5);
+    expect(analysis.questions.map((item) => item.p_value)).to.deep.equal([0.8, 0.6, 0.4]);
+    expect(analysis.questions[2]).to.include({ correct: 2, omitted: 1 });
+    expect(analysis.questions[2].options.map((option) => option.picked)).to.deep.equal([2, 2]);
+    expect(analysis.questions[0].discrimination).to.be.above(0.5);
+    expect(analysis.questions[0].flags).to.deep.equal([]);
+  });
+
+  it('estimates the reliability with KR-20', () => {
+    const analysis = analyzeItems(quiz, submissions);
+    expect(analysis).to.include({ kr20: 0.794, kr20_students: 5 });
+    expect(analyzeItems(quiz, submissions.slice(0, 1)).kr20).to.equal(null);
+  });
+
+  it('flags hard questions with a misleading distractor', () => {
+    const wrong = submissions.map(({ responses }) => {
+      const answers = responses.map((response, index) => (index === 0
+        ? { ...response, selected_options: [quiz.questions[0].options[1]._id] }
+        : response));
+      return { responses: answers, breakdown: gradeResponses(quiz.questions, answers).breakdown };
+    });
+    expect(analyzeItems(quiz, wrong).questions[0].flags).to.include.members(['too_hard', 'misleading_distractor']);
+  });
+
+  it('lists a CSV row per option', () => {
+    const rows = analysisRows(analyzeItems(quiz, submissions));
+    expect(rows).to.have.length(6);
+    expect(rows[1]).to.include({ position: 1, option_text: 'wrong', option_picked: 1, p_value: 0.8, kr20: 0.794 });
+  });
+});
+
+describe('gradebook', () => {
+  const now = new Date('2024-03-01T12:00:00Z');
+  const [ada, alan, grace] = ['Ada', 'Alan', 'Grace'].map((name) => ({ _id: new Quiz()._id, full_name: name }));
+  const past = new Quiz({ quiz_name: 'Fractions', status: 'published', start_date: new Date('2024-02-01T10:00:00Z'), duration: 60 });
+  const open = new Quiz({ quiz_name: 'Decimals', status: 'published', start_date: new Date('2024-03-01T11:30:00Z'), duration: 60 });
+  const result = (quiz, student, score, extra = {}) => ({ quiz_id: quiz._id, student_id: student._id, score, out_of: 10, status: 'final', ...extra });
+
+  const build = () => buildGradebook({
+    students: [grace, ada, alan],
+    quizzes: [past, open],
+    results: [result(past, ada, 6), result(past, ada, 8, { attempt: 2, late: true }), result(open, ada, 10), result(open, grace, 5)],
+    accommodations: [{ quiz_id: past._id, student_id: grace._id, excused: true }],
+    now,
+  });
+
+  it('marks cells as graded, late, missing, excused or pending', () => {
+    const gradebook = build();
+    const [graceRow, adaRow, alanRow] = gradebook.students;
+    expect(adaRow.cells[0]).to.include({ status: 'graded', score: 8, percent: 80, late: true, attempts: 2 });
+    expect(alanRow.cells.map((cell) => cell.status)).to.deep.equal(['missing', 'pending']);
+    expect(graceRow.cells[0].status).to.equal('excused');
+  });
+
+  it('averages rows with missing as 0 and columns over graded students', () => {
+    const gradebook = build();
+    expect(gradebook.students.map((row) => row.average)).to.deep.equal([50, 90, 0]);
+    expect(gradebook.quizzes.map((quiz) => quiz.average)).to.deep.equal([80, 75]);
+    expect(gradebook.quizzes.map((quiz) => quiz.state)).to.deep.equal(['closed', 'open']);
+  });
+
+  it('sorts by name, average or a quiz column', () => {
+    const gradebook = build();
+    sortGradebook(gradebook);
+    expect(gradebook.students.map((row) => row.student.full_name)).to.deep.equal(['Ada', 'Alan', 'Grace']);
+    sortGradebook(gradebook, 'average', 'desc');
+    expect(gradebook.students.map((row) => row.student.full_name)).to.deep.equal(['Ada', 'Grace', 'Alan']);
+    sortGradebook(gradebook, String(open._id), 'asc');
+    expect(gradebook.students.map((row) => row.student.full_name)).to.deep.equal(['Grace', 'Ada', 'Alan']);
+    expect(sortGradebook(gradebook, 'score')).to.be.a('string');
+    expect(sortGradebook(gradebook, 'name', 'up')).to.be.a('string');
+  });
+
+  it('exports a table and an xlsx workbook', () => {
+    const gradebook = build();
+    sortGradebook(gradebook);
+    const table = gradebookTable(gradebook);
+    expect(table[0]).to.deep.equal(['Student', 'Fractions', 'Decimals', 'Average %']);
+    expect(table[1]).to.deep.equal(['Ada', '8/10 late', '10/10', 90]);
+    expect(table[2]).to.deep.equal(['Alan', 'missing', '', 0]);
+    expect(table[4]).to.deep.equal(['Quiz average %', 80, 75, null]);
+
+    const zip = new AdmZip(xlsx.buildXlsx('Period 3', table));
+    const sheet = zip.readAsText('xl/worksheets/sheet1.xml');
+    expect(zip.readAsText('xl/workbook.xml')).to.include('<sheet name="Period 3"');
+    expect(sheet).to.include('<c r="B2" t="inlineStr"><is><t xml:space="preserve">8/10 late</t></is></c>');
+    expect(sheet).to.include('<c r="D2"><v>90</v></c>');
+    expect(xlsx.columnName(27)).to.equal('AB');
+  });
+});
@@ -0,0 +1,273 @@
+const { Accommodation, Quiz, QuizAttempt, QuizVariant, StudentResponse } = require('../models/models');
+const { getOrCreateVariant, variantQuestions } = require('./quizVariant');
+const { startError } = require('./quizLifecycle');
+const { attemptMinutes } = require('./quizWindow');
+const { lateMinutes } = require('./latePolicy');
+const { storeSubmission } = require('./submission');
+const { quizAtVersion } = require('./quizVersions');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Decides whether a student may start or submit another attempt.
+ * `submissions` are the student's previous StudentResponse documents.
+ * Returns `{ allowed, attempt, error }` where `attempt` is the number of
+ * the next attempt. The student's `accommodation` may grant extra attempts.
+ */
+function checkNextAttempt(quiz, submissions, now = new Date(), accommodation) {
+  const policy = quiz.attempt_policy || {};
+  const maxAttempts = (policy.max_attempts || 1) + ((accommodation && accommodation.extra_attempts) || 0);
+  const attempt = submissions.length + 1;
+
+  if (submissions.length >= maxAttempts) {
+    return {
+      allowed: false,
+      attempt,
+      error: maxAttempts === 1
+        ? 'Forbidden - Student has already taken the Quiz !'
+        : 'Forbidden - No attempts left for this Quiz',
+    };
+  }
+
+  const lastSubmittedAt = Math.max(0, ...submissions.map((submission) => submission.submitted_at || 0));
+  const cooldownEnds = lastSubmittedAt + (policy.cooldown_minutes || 0) * 60000;
+  if (submissions.length > 0 && now.getTime() < cooldownEnds) {
+    return {
+      allowed: false,
+      attempt,
+      error: `Forbidden - Next attempt available at ${new Date(cooldownEnds).toISOString()}`,
+    };
+  }
+
+  return { allowed: true, attempt };
+}
+
+async function nextAttempt(quiz, studentId, now, accommodation) {
+  const submissions = await StudentResponse.find({ student_id: studentId, quiz_id: quiz._id });
+  return checkNextAttempt(quiz, submissions, now, accommodation);
+}
+
+/**
+ * The accommodation of a student for a quiz, null when there is none.
+ */
+function findAccommodation(quiz, studentId) {
+  return Accommodation.findOne({ quiz_id: quiz._id, student_id: studentId });
+}
+
+/**
+ * Grade that counts for a student given all their StudentResult attempts,
+ * following the quiz attempt_policy ("best", "last" or "average").
+ */
+function effectiveGrade(results, policy = {}) {
+  if (results.length === 0) return null;
+
+  const byAttempt = [...results].sort((a, b) => (a.attempt || 1) - (b.attempt || 1));
+  const status = byAttempt.some((result) => result.status === 'provisional') ? 'provisional' : 'final';
+
+  if (policy.grade === 'average') {
+    const mean = (field) => round(byAttempt.reduce((sum, result) => sum + (result[field] || 0), 0) / byAttempt.length);
+    return { score: mean('score'), out_of: mean('out_of'), attempt: null, attempt_count: byAttempt.length, status };
+  }
+
+  let counted = byAttempt[byAttempt.length - 1];
+  if (policy.grade !== 'last') {
+    const ratio = (result) => (result.out_of ? result.score / result.out_of : 0);
+    counted = byAttempt.reduce((best, result) => (ratio(result) > ratio(best) ? result : best));
+  }
+
+  return {
+    score: counted.score,
+    out_of: counted.out_of,
+    attempt: counted.attempt || 1,
+    attempt_count: byAttempt.length,
+    status,
+  };
+}
+
+const isExpired = (attempt, now = new Date()) =>
+  Boolean(attempt.expires_at) && now > attempt.expires_at;
+
+function findOpenAttempt(quiz, studentId) {
+  return QuizAttempt.findOne({ quiz_id: quiz._id, student_id: studentId, status: 'in_progress' })
+    .sort({ attempt: -1 });
+}
+
+/**
+ * Submits a started attempt with the given answers, graded against the
+ * version of the quiz the attempt was started on. The attempt is claimed
+ * atomically so a manual submit and the expiry sweep never both grade it;
+ * returns null when it was already submitted. When storing the answers
+ * fails the claim is released, so the attempt can still be submitted.
+ */
+async function finishAttempt(quiz, attempt, responses, status = 'submitted') {
+  const claimed = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    { status },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let submission;
+  try {
+    const variant = claimed.variant_id ? await QuizVariant.findById(claimed.variant_id) : null;
+    submission = await storeSubmission({
+      quiz: await quizAtVersion(quiz, claimed.quiz_version),
+      studentId: claimed.student_id,
+      attempt: claimed.attempt,
+      variant,
+      responses,
+      lateMinutes: claimed.late_minutes,
+    });
+  } catch (error) {
+    await QuizAttempt.updateOne({ _id: claimed._id, status }, { status: 'in_progress' });
+    throw error;
+  }
+
+  claimed.response_id = submission.studentResponse._id;
+  await claimed.save();
+
+  return submission;
+}
+
+/**
+ * Questions of the quiz version and variant an attempt runs on.
+ */
+async function attemptQuestions(quiz, attempt) {
+  const variant = attempt.variant_id ? await QuizVariant.findById(attempt.variant_id) : null;
+  return variantQuestions(await quizAtVersion(quiz, attempt.quiz_version), variant);
+}
+
+/**
+ * The attempt of a student in progress, without starting one. An attempt
+ * whose time ran out is submitted with its saved answers instead.
+ * Resolves to `{ attempt, variant, quiz }` like startAttempt, or to null.
+ */
+async function resumeAttempt(quiz, studentId, now = new Date()) {
+  const open = await findOpenAttempt(quiz, studentId);
+  if (!open) return null;
+  if (isExpired(open, now)) {
+    await finishAttempt(quiz, open, open.responses, 'auto_submitted');
+    return null;
+  }
+  const variant = open.variant_id ? await QuizVariant.findById(open.variant_id) : null;
+  return { attempt: open, variant, quiz: await quizAtVersion(quiz, open.quiz_version) };
+}
+
+/**
+ * Starts the next attempt of a student, or resumes the one in progress.
+ * An attempt whose time ran out is submitted with its saved answers first.
+ * The window, duration and number of attempts follow the student's
+ * accommodation, if any.
+ * Resolves to `{ attempt, variant, quiz }`, `quiz` being the version of
+ * the quiz the attempt runs on, or to `{ error }`.
+ */
+async function startAttempt(quiz, studentId, now = new Date()) {
+  const resumed = await resumeAttempt(quiz, studentId, now);
+  if (resumed) return resumed;
+
+  const accommodation = await findAccommodation(quiz, studentId);
+  const notOpen = startError(quiz, now, accommodation);
+  if (notOpen) {
+    return { error: notOpen };
+  }
+
+  const { allowed, attempt, error } = await nextAttempt(quiz, studentId, now, accommodation);
+  if (!allowed) {
+    return { error };
+  }
+
+  const variant = await getOrCreateVariant(quiz, studentId, attempt);
+  const minutes = attemptMinutes(quiz, accommodation);
+  try {
+    const started = await QuizAttempt.create({
+      quiz_id: quiz._id,
+      student_id: studentId,
+      attempt,
+      quiz_version: quiz.version || 1,
+      variant_id: variant ? variant._id : undefined,
+      started_at: now,
+      late_minutes: lateMinutes(quiz, now, accommodation),
+      expires_at: minutes != null ? new Date(now.getTime() + minutes * 60000) : undefined,
+    });
+    return { attempt: started, variant, quiz };
+  } catch (err) {
+    // started concurrently by another request
+    if (err.code === 11000) {
+      const concurrent = await findOpenAttempt(quiz, studentId);
+      if (!concurrent) return { error: 'Forbidden - Attempt could not be started, try again' };
+      return { attempt: concurrent, variant, quiz };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Submits every attempt whose time ran out with the answers saved so far.
+ * Run periodically from app.js; returns the number of submitted attempts.
+ */
+async function expireAttempts(now = new Date()) {
+  const expired = await QuizAttempt.find({ status: 'in_progress', expires_at: { $lt: now } });
+  let submitted = 0;
+
+  for (const attempt of expired) {
+    const quiz = await Quiz.findById(attempt.quiz_id);
+    if (!quiz) continue;
+    if (await finishAttempt(quiz, attempt, attempt.responses, 'auto_submitted')) submitted++;
+  }
+
+  return submitted;
+}
+
+/**
+ * Submits the attempts in progress of a quiz with their saved answers,
+ * used when the teacher closes the quiz. Returns the number submitted.
+ */
+async function submitOpenAttempts(quiz) {
+  const open = await QuizAttempt.find({ quiz_id: quiz._id, status: 'in_progress' });
+  let submitted = 0;
+
+  for (const attempt of open) {
+    if (await finishAttempt(quiz, attempt, attempt.responses, 'auto_submitted')) submitted++;
+  }
+
+  return submitted;
+}
+
+// id of a possibly populated student_id
+const studentKey = (student) => String(student && student._id ? student._id : student);
+
+/**
+ * Effective grade of every student in a list of StudentResult documents,
+ * `student_id` may be populated.
+ */
+function gradesByStudent(results, policy) {
+  const groups = new Map();
+  results.forEach((result) => {
+    const student = result.student_id;
+    const key = studentKey(student);
+    if (!groups.has(key)) groups.set(key, { student, results: [] });
+    groups.get(key).results.push(result);
+  });
+
+  return [...groups.values()].map(({ student, results: attempts }) => ({
+    student_id: student,
+    ...effectiveGrade(attempts, policy),
+  }));
+}
+
+module.exports = {
+  checkNextAttempt,
+  nextAttempt,
+  findAccommodation,
+  effectiveGrade,
+  gradesByStudent,
+  studentKey,
+  isExpired,
+  findOpenAttempt,
+  finishAttempt,
+  attemptQuestions,
+  resumeAttempt,
+  startAttempt,
+  expireAttempts,
+  submitOpenAttempts,
+};
@@ -1,50 +1,227 @@
 const {StudentResult} = require('../models/models');
+const { applyLatePenalty } = require('./latePolicy');
+
+const DEFAULT_POLICY = {
+  mode: 'all_or_nothing',
+  negative_marking: false,
+  penalty: 0.25,
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Fraction (0..1) of a choice question earned by the selected options.
+ * In "partial" mode multiple-choice questions earn
+ * (correct selected - wrong selected) / correct options, floored at zero.
+ */
+function choiceFraction(question, selectedOptions, policy) {
+  const correct = question.options
+    .filter((option) => option.is_correct)
+    .map((option) => option._id.toString());
+  const selected = [...new Set(selectedOptions.map(String))];
+
+  if (policy.mode === 'partial' && question.is_multiple_choice && correct.length > 0) {
+    const hits = selected.filter((id) => correct.includes(id)).length;
+    const misses = selected.length - hits;
+    return Math.max(0, (hits - misses) / correct.length);
+  }
+
+  return sameMembers(correct, selected) ? 1 : 0;
+}
+
+/**
+ * Numeric answers may carry a unit ("9.8 m/s"). When the question has a unit
+ * the student's unit, if given, has to match it.
+ */
+function numericFraction(question, answer) {
+  const expected = question.numeric_answer;
+  const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*?)\s*$/i.exec(answer);
+  if (!expected || !match) return 0;
+
+  const value = Number(match[1]);
+  const unit = match[2];
+  if (unit && expected.unit && normalizeUnit(unit) !== normalizeUnit(expected.unit)) return 0;
+  if (unit && !expected.unit) return 0;
+
+  const allowed = expected.tolerance_type === 'relative'
+    ? Math.abs(expected.value) * expected.tolerance
+    : expected.tolerance;
+
+  // small epsilon so 0.1 + 0.2 style float noise does not fail exact answers
+  return Math.abs(value - expected.value) <= allowed + 1e-9 ? 1 : 0;
+}
+
+function normalizeUnit(unit) {
+  return unit.replace(/\s+/g, '').toLowerCase();
+}
+
+function shortTextFraction(question, answer) {
+  const expected = question.text_answer;
+  if (!expected) return 0;
+
+  const normalize = (text) => {
+    let normalized = text.trim();
+    if (expected.normalize_whitespace !== false) normalized = normalized.replace(/\s+/g, ' ');
+    if (!expected.case_sensitive) normalized = normalized.toLowerCase();
+    return normalized;
+  };
+
+  const given = normalize(answer);
+  if ((expected.accepted_answers || []).some((accepted) => normalize(accepted) === given)) {
+    return 1;
+  }
+
+  if (expected.pattern) {
+    const pattern = new RegExp(`^(?:${expected.pattern})$`, expected.case_sensitive ? '' : 'i');
+    if (pattern.test(given)) return 1;
+  }
+
+  return 0;
+}
+
+const FREE_ANSWER_TYPES = ['numeric', 'short_text', 'essay'];
+
+function isAnswered(question, submittedResponse) {
+  if (!submittedResponse) return false;
+  if (FREE_ANSWER_TYPES.includes(question.question_type)) {
+    return submittedResponse.answer != null && String(submittedResponse.answer).trim() !== '';
+  }
+  return (submittedResponse.selected_options || []).length > 0;
+}
+
+function answerFraction(question, submittedResponse, policy) {
+  switch (question.question_type) {
+    case 'numeric':
+      return numericFraction(question, String(submittedResponse.answer));
+    case 'short_text':
+      return shortTextFraction(question, String(submittedResponse.answer));
+    default:
+      return choiceFraction(question, submittedResponse.selected_options || [], policy);
+  }
+}
+
+/**
+ * Grades one question against the submitted response (if any).
+ * Returns a breakdown entry as stored on StudentResult.
+ */
+function gradeQuestion(question, submittedResponse, policy = DEFAULT_POLICY) {
+  const pointsPossible = question.points ?? 1;
+  const answered = isAnswered(question, submittedResponse);
+
+  // essays are scored by the teacher through the grading queue
+  if (question.question_type === 'essay') {
+    return {
+      question_id: question._id,
+      points_awarded: 0,
+      points_possible: pointsPossible,
+      is_correct: false,
+      needs_grading: answered,
+    };
+  }
+
+  const fraction = answered ? answerFraction(question, submittedResponse, policy) : 0;
+  let pointsAwarded = fraction * pointsPossible;
+
+  if (policy.negative_marking && answered && fraction === 0) {
+    pointsAwarded = -policy.penalty * pointsPossible;
+  }
+
+  return {
+    question_id: question._id,
+    points_awarded: round(pointsAwarded),
+    points_possible: pointsPossible,
+    is_correct: fraction === 1,
+  };
+}
+
+/**
+ * Applies a quiz grading override to a breakdown entry: "full_credit"
+ * awards every point, "drop" takes the question out of the total.
+ */
+function applyOverride(entry, action) {
+  if (action === 'full_credit') {
+    return { ...entry, points_awarded: entry.points_possible, is_correct: true, needs_grading: false, override: action };
+  }
+  if (action === 'drop') {
+    return { ...entry, points_awarded: 0, points_possible: 0, needs_grading: false, override: action };
+  }
+  return entry;
+}
+
+/**
+ * Grades a whole submission without touching the database.
+ * `policy` is the quiz scoring_policy, missing fields fall back to the defaults.
+ * `overrides` are the quiz grading_overrides.
+ */
+function gradeResponses(questions, submittedResponses, policy, overrides = []) {
+  const effectivePolicy = { ...DEFAULT_POLICY, ...(policy && policy.toObject ? policy.toObject() : policy) };
+  const byQuestion = new Map(
+    submittedResponses.map((response) => [String(response.question_id), response])
+  );
+  const actions = new Map((overrides || []).map((override) => [String(override.question_id), override.action]));
+
+  const breakdown = questions.map((question) => applyOverride(
+    gradeQuestion(question, byQuestion.get(question._id.toString()), effectivePolicy),
+    actions.get(question._id.toString())
+  ));
+
+  return { ...summarize(breakdown), breakdown };
+}
+
+/**
+ * Totals a breakdown. The result stays provisional while any answer
+ * still needs manual grading.
+ */
+function summarize(breakdown) {
+  return {
+    score: round(breakdown.reduce((sum, entry) => sum + entry.points_awarded, 0)),
+    out_of: round(breakdown.reduce((sum, entry) => sum + entry.points_possible, 0)),
+    status: breakdown.some((entry) => entry.needs_grading) ? 'provisional' : 'final',
+  };
+}
+
+/**
+ * Grades a submission and stores it as a StudentResult.
+ * `details` holds extra StudentResult fields such as `response_id`;
+ * `details.late_minutes` takes the quiz late_policy penalty off the score.
+ * `questions` defaults to the whole quiz; randomized quizzes pass the
+ * questions of the student's variant.
+ */
 const calculateResults = async (
   studentId,
-  quizId,
-  correctResponses,
+  quiz,
   submittedResponses,
-  numberOfQuestions
+  details = {},
+  questions = quiz.questions
 ) => {
-  let score = 0;
-
-  submittedResponses.forEach((submittedResponse) => {
-    const correctResponse = correctResponses.find(
-      (response) => response.question_id === submittedResponse.question_id
-    );
-
-    if (correctResponse) {
-      const isCorrect = arraysEqual(
-        correctResponse.selected_options,
-        submittedResponse.selected_options
-      );
-
-      if (isCorrect) {
-        score++;
-      }
-    }
-  });
+  const { breakdown, ...totals } = gradeResponses(
+    questions,
+    submittedResponses,
+    quiz.scoring_policy,
+    quiz.grading_overrides
+  );
 
   const studentResult = new StudentResult({
+    ...details,
     student_id: studentId,
-    quiz_id: quizId,
-    score,
-    out_of:numberOfQuestions
+    quiz_id: quiz._id,
+    ...applyLatePenalty(totals, quiz.late_policy, details.late_minutes),
+    breakdown,
   });
 
   await studentResult.save();
 
-  return score;
+  return studentResult;
 };
 
-function arraysEqual(arr1, arr2) {
+function sameMembers(arr1, arr2) {
   if (arr1.length !== arr2.length) return false;
 
-  for (let i = 0; i < arr1.length; i++) {
-    if (arr1[i] !== arr2[i]) return false;
-  }
-
-  return true;
+  return arr1.every((item) => arr2.includes(item));
 }
 
 module.exports = calculateResults;
+module.exports.gradeQuestion = gradeQuestion;
+module.exports.gradeResponses = gradeResponses;
+module.exports.applyOverride = applyOverride;
+module.exports.summarize = summarize;
@@ -0,0 +1,320 @@
+/**
+ * IMS QTI 2.1 content package export. Every question becomes an
+ * assessmentItem, the quiz an assessmentTest listing them in order, and
+ * imsmanifest.xml ties them together.
+ *
+ * Settings QTI has no place for (units, pools, exact option texts, the quiz
+ * policies) are kept in the manifest metadata under QUIZ_NS so that our
+ * importer can restore them; other tools ignore them.
+ */
+
+const AdmZip = require('adm-zip');
+const { stripHtml } = require('../importers/moodleXml');
+
+const QTI_NS = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const CP_NS = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const QUIZ_NS = 'urn:quiz-app:qti-extensions';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const SETTINGS = ['scoring_policy', 'randomization', 'attempt_policy', 'release_policy', 'late_policy'];
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// question text as XML content, line breaks included
+const xmlText = (value) => escapeXml(value).replace(/\r?\n/g, '<br/>');
+
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+  .join('');
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+function outcomeDeclarations(question, feedbackCardinality) {
+  const declarations = [
+    '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+    '    <defaultValue><value>0</value></defaultValue>',
+    '  </outcomeDeclaration>',
+    '  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">',
+    `    <defaultValue><value>${question.points ?? 1}</value></defaultValue>`,
+    '  </outcomeDeclaration>',
+  ];
+  if (feedbackCardinality) {
+    declarations.push(`  <outcomeDeclaration identifier="FEEDBACK" cardinality="${feedbackCardinality}" baseType="identifier"/>`);
+  }
+  if (question.explanation) {
+    declarations.push('  <outcomeDeclaration identifier="EXPLANATION" cardinality="single" baseType="identifier"/>');
+  }
+  return declarations;
+}
+
+// sets SCORE to MAXSCORE as soon as one of `conditions` holds
+function responseProcessing(question, conditions, extra = []) {
+  const lines = ['  <responseProcessing>'];
+  if (conditions.length > 0) {
+    lines.push('    <responseCondition>');
+    conditions.forEach((condition, index) => {
+      const branch = index === 0 ? 'responseIf' : 'responseElseIf';
+      lines.push(
+        `      <${branch}>`,
+        `        ${condition}`,
+        '        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>',
+        `      </${branch}>`
+      );
+    });
+    lines.push('    </responseCondition>');
+  }
+  lines.push(...extra);
+  if (question.explanation) {
+    lines.push('    <setOutcomeValue identifier="EXPLANATION"><baseValue baseType="identifier">explanation</baseValue></setOutcomeValue>');
+  }
+  lines.push('  </responseProcessing>');
+  return lines;
+}
+
+function choiceItem(question, shuffle) {
+  const options = question.options || [];
+  const cardinality = question.is_multiple_choice ? 'multiple' : 'single';
+  const choiceId = (index) => `choice-${index + 1}`;
+  const correct = options
+    .map((option, index) => (option.is_correct ? `      <value>${choiceId(index)}</value>` : null))
+    .filter(Boolean);
+
+  return {
+    declarations: [
+      `  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="identifier">`,
+      ...(correct.length > 0 ? ['    <correctResponse>', ...correct, '    </correctResponse>'] : []),
+      '  </responseDeclaration>',
+      ...outcomeDeclarations(question, cardinality),
+    ],
+    body: [
+      `    <choiceInteraction${attributes({
+        responseIdentifier: 'RESPONSE',
+        shuffle: Boolean(shuffle),
+        maxChoices: question.is_multiple_choice ? 0 : 1,
+      })}>`,
+      `      <prompt>${xmlText(question.question_text)}</prompt>`,
+      ...options.map((option, index) => {
+        const feedback = option.feedback
+          ? `<feedbackInline outcomeIdentifier="FEEDBACK" identifier="${choiceId(index)}" showHide="show">${xmlText(option.feedback)}</feedbackInline>`
+          : '';
+        return `      <simpleChoice identifier="${choiceId(index)}">${xmlText(option.option_text)}${feedback}</simpleChoice>`;
+      }),
+      '    </choiceInteraction>',
+    ],
+    processing: responseProcessing(
+      question,
+      ['<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>'],
+      ['    <setOutcomeValue identifier="FEEDBACK"><variable identifier="RESPONSE"/></setOutcomeValue>']
+    ),
+  };
+}
+
+function numericItem(question) {
+  const { value, tolerance = 0, tolerance_type: toleranceType } = question.numeric_answer;
+  let equal = '<equal toleranceMode="exact">';
+  if (tolerance > 0) {
+    // QTI relative tolerances are percentages
+    const amount = toleranceType === 'relative' ? Number((tolerance * 100).toPrecision(12)) : tolerance;
+    equal = `<equal toleranceMode="${toleranceType === 'relative' ? 'relative' : 'absolute'}" tolerance="${amount} ${amount}">`;
+  }
+
+  return {
+    declarations: [
+      '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">',
+      `    <correctResponse><value>${value}</value></correctResponse>`,
+      '  </responseDeclaration>',
+      ...outcomeDeclarations(question),
+    ],
+    body: [
+      `    <p>${xmlText(question.question_text)}</p>`,
+      '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="15"/></p>',
+    ],
+    processing: responseProcessing(question, [
+      `${equal}<variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`,
+    ]),
+  };
+}
+
+function shortTextItem(question) {
+  const { accepted_answers: accepted = [], case_sensitive: caseSensitive, pattern } = question.text_answer;
+  const conditions = [];
+  if (accepted.length > 0) {
+    conditions.push('<gt><mapResponse identifier="RESPONSE"/><baseValue baseType="float">0</baseValue></gt>');
+  }
+  if (pattern) {
+    conditions.push(`<patternMatch pattern="${escapeXml(pattern)}"><variable identifier="RESPONSE"/></patternMatch>`);
+  }
+
+  return {
+    declarations: [
+      '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">',
+      ...(accepted.length > 0 ? [`    <correctResponse><value>${escapeXml(accepted[0])}</value></correctResponse>`] : []),
+      '    <mapping defaultValue="0">',
+      ...accepted.map((answer) => `      <mapEntry${attributes({
+        mapKey: answer,
+        mappedValue: 1,
+        caseSensitive: Boolean(caseSensitive),
+      })}/>`),
+      '    </mapping>',
+      '  </responseDeclaration>',
+      ...outcomeDeclarations(question),
+    ],
+    body: [
+      `    <p>${xmlText(question.question_text)}</p>`,
+      '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>',
+    ],
+    processing: responseProcessing(question, conditions),
+  };
+}
+
+function essayItem(question) {
+  return {
+    declarations: [
+      '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+      ...outcomeDeclarations(question),
+    ],
+    body: [
+      '    <extendedTextInteraction responseIdentifier="RESPONSE">',
+      `      <prompt>${xmlText(question.question_text)}</prompt>`,
+      '    </extendedTextInteraction>',
+    ],
+    // scored by the teacher
+    processing: question.explanation ? responseProcessing(question, []) : [],
+  };
+}
+
+const ITEM_BUILDERS = {
+  choice: choiceItem,
+  numeric: numericItem,
+  short_text: shortTextItem,
+  essay: essayItem,
+};
+
+function buildItem(question, identifier, shuffleOptions) {
+  const type = question.question_type || 'choice';
+  const { declarations, body, processing } = ITEM_BUILDERS[type](question, shuffleOptions);
+  const title = question.question_text.split(/\r?\n/)[0].slice(0, 80);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentItem${attributes({
+      xmlns: QTI_NS,
+      'xmlns:xsi': XSI_NS,
+      'xsi:schemaLocation': `${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`,
+      identifier,
+      title,
+      adaptive: false,
+      timeDependent: false,
+    })}>`,
+    ...declarations,
+    '  <itemBody>',
+    ...body,
+    '  </itemBody>',
+    ...processing,
+    ...(question.explanation
+      ? [`  <modalFeedback outcomeIdentifier="EXPLANATION" identifier="explanation" showHide="show">${xmlText(question.explanation)}</modalFeedback>`]
+      : []),
+    '</assessmentItem>',
+    '',
+  ].join('\n');
+}
+
+function buildTest(quiz, itemIds) {
+  const randomization = quiz.randomization || {};
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<assessmentTest${attributes({
+      xmlns: QTI_NS,
+      'xmlns:xsi': XSI_NS,
+      'xsi:schemaLocation': `${QTI_NS} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`,
+      identifier: 'test',
+      title: quiz.quiz_name || 'Quiz',
+    })}>`,
+    ...(quiz.duration ? [`  <timeLimits maxTime="${quiz.duration * 60}"/>`] : []),
+    '  <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">',
+    '    <assessmentSection identifier="section-1" title="Questions" visible="true">',
+    ...(randomization.shuffle_questions ? ['      <ordering shuffle="true"/>'] : []),
+    ...itemIds.map((id) => `      <assessmentItemRef identifier="${id}" href="items/${id}.xml"/>`),
+    '    </assessmentSection>',
+    '  </testPart>',
+    '</assessmentTest>',
+    '',
+  ].join('\n');
+}
+
+// the parts of a question QTI cannot express
+function itemExtension(question) {
+  const numeric = question.numeric_answer || {};
+  const text = question.text_answer || {};
+  // option texts are read back without surrounding or repeated spaces
+  const optionTexts = (question.options || []).map((option) => String(option.option_text ?? ''));
+  const changed = optionTexts.some((optionText) => stripHtml(xmlText(optionText)) !== optionText);
+  const values = {
+    pool: question.pool,
+    option_texts: changed ? JSON.stringify(optionTexts) : undefined,
+    unit: numeric.unit,
+    case_sensitive: question.question_type === 'short_text' ? Boolean(text.case_sensitive) : undefined,
+    normalize_whitespace: question.question_type === 'short_text' ? text.normalize_whitespace !== false : undefined,
+  };
+  const attrs = attributes(values);
+  return attrs ? `<quiz:item${attrs}/>` : '';
+}
+
+function buildManifest(quiz, itemIds, questions) {
+  const settings = Object.fromEntries(
+    SETTINGS.filter((field) => quiz[field]).map((field) => [field, plain(quiz[field])])
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<manifest${attributes({ xmlns: CP_NS, 'xmlns:quiz': QUIZ_NS, identifier: `manifest-${quiz._id}` })}>`,
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    '    <resource identifier="test" type="imsqti_test_xmlv2p1" href="assessment.xml">',
+    `      <metadata><quiz:settings>${escapeXml(JSON.stringify(settings))}</quiz:settings></metadata>`,
+    '      <file href="assessment.xml"/>',
+    ...itemIds.map((id) => `      <dependency identifierref="${id}"/>`),
+    '    </resource>',
+    ...itemIds.flatMap((id, index) => {
+      const extension = itemExtension(questions[index]);
+      return [
+        `    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml">`,
+        ...(extension ? [`      <metadata>${extension}</metadata>`] : []),
+        `      <file href="items/${id}.xml"/>`,
+        '    </resource>',
+      ];
+    }),
+    '  </resources>',
+    '</manifest>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Zipped QTI 2.1 content package of a quiz, as a Buffer.
+ */
+function buildQtiPackage(quiz) {
+  const questions = (quiz.questions || []).map(plain);
+  const itemIds = questions.map((question, index) => `item-${index + 1}`);
+  const shuffleOptions = quiz.randomization && quiz.randomization.shuffle_options;
+
+  const zip = new AdmZip();
+  zip.addFile('imsmanifest.xml', Buffer.from(buildManifest(quiz, itemIds, questions)));
+  zip.addFile('assessment.xml', Buffer.from(buildTest(quiz, itemIds)));
+  questions.forEach((question, index) => {
+    zip.addFile(`items/${itemIds[index]}.xml`, Buffer.from(buildItem(question, itemIds[index], shuffleOptions)));
+  });
+
+  return zip.toBuffer();
+}
+
+module.exports = { SETTINGS, buildQtiPackage };
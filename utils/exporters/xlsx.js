@@ -0,0 +1,110 @@
+/**
+ * Minimal Office Open XML spreadsheet (.xlsx) writer: one worksheet of
+ * strings and numbers, the first row in bold. Strings are stored inline,
+ * so the package only needs the workbook, the sheet and a style sheet.
+ */
+
+const AdmZip = require('adm-zip');
+
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CT_NS = 'http://schemas.openxmlformats.org/package/2006/content-types';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // characters XML 1.0 does not allow
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function cell(value, ref, style) {
+  const styled = style ? ' s="1"' : '';
+  if (value == null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styled}><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${styled}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function buildSheet(rows) {
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => cell(value, `${columnName(columnIndex)}${rowIndex + 1}`, rowIndex === 0));
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<worksheet xmlns="${SHEET_NS}">`,
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>',
+    `<sheetData>${sheetRows.join('')}</sheetData>`,
+    '</worksheet>',
+  ].join('');
+}
+
+const STYLES = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  `<styleSheet xmlns="${SHEET_NS}">`,
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>',
+  '</styleSheet>',
+].join('');
+
+/**
+ * .xlsx file with a single sheet named `sheetName` holding `rows`, an
+ * array of rows that are arrays of strings, numbers or empty values.
+ * Returns a Buffer.
+ */
+function buildXlsx(sheetName, rows) {
+  // sheet names are at most 31 characters and cannot contain : \ / ? * [ ]
+  const name = String(sheetName).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Sheet1';
+
+  const zip = new AdmZip();
+  zip.addFile('[Content_Types].xml', Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<Types xmlns="${CT_NS}">`,
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+    '</Types>',
+  ].join('')));
+  zip.addFile('_rels/.rels', Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<Relationships xmlns="${PKG_REL_NS}">`,
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+    '</Relationships>',
+  ].join('')));
+  zip.addFile('xl/workbook.xml', Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">`,
+    `<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>`,
+    '</workbook>',
+  ].join('')));
+  zip.addFile('xl/_rels/workbook.xml.rels', Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<Relationships xmlns="${PKG_REL_NS}">`,
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>',
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+    '</Relationships>',
+  ].join('')));
+  zip.addFile('xl/styles.xml', Buffer.from(STYLES));
+  zip.addFile('xl/worksheets/sheet1.xml', Buffer.from(buildSheet(rows)));
+
+  return zip.toBuffer();
+}
+
+module.exports = { buildXlsx, columnName };
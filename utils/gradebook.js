@@ -0,0 +1,143 @@
+/**
+ * Class gradebook: a row per student of the class, a column per quiz. A
+ * cell holds the grade that counts under the quiz attempt policy, or why
+ * there is none: "missing" once the quiz closed for the student, "excused"
+ * when the teacher excused them (accommodation.excused), "pending" while
+ * they can still take it.
+ *
+ * Averages are in percent with every quiz weighing the same. A student's
+ * average counts missing quizzes as 0; a quiz average only counts the
+ * students who were graded. Excused and pending cells count for neither.
+ */
+
+const { quizState } = require('./quizLifecycle');
+const { effectiveGrade, studentKey } = require('./attempts');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => (values.length
+  ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+function gradebookCell(quiz, results, accommodation, now) {
+  if (accommodation && accommodation.excused) return { quiz_id: quiz._id, status: 'excused' };
+
+  const grade = effectiveGrade(results, quiz.attempt_policy);
+  if (!grade) {
+    const state = quizState(quiz, now, accommodation);
+    return { quiz_id: quiz._id, status: state === 'closed' || state === 'archived' ? 'missing' : 'pending' };
+  }
+
+  // every attempt counts towards an "average" grade
+  const counted = grade.attempt == null ? results : results.filter((result) => (result.attempt || 1) === grade.attempt);
+  return {
+    quiz_id: quiz._id,
+    status: 'graded',
+    score: grade.score,
+    out_of: grade.out_of,
+    percent: grade.out_of ? round((grade.score / grade.out_of) * 100) : null,
+    late: counted.some((result) => result.late),
+    provisional: grade.status === 'provisional',
+    attempts: grade.attempt_count,
+  };
+}
+
+/**
+ * Gradebook of `students` over the `quizzes` columns, from the
+ * StudentResult `results` and Accommodation `accommodations` of those
+ * quizzes.
+ */
+function buildGradebook({ students, quizzes, results, accommodations = [], now = new Date() }) {
+  const key = (quizId, studentId) => `${quizId}:${studentKey(studentId)}`;
+  const resultsByCell = new Map();
+  results.forEach((result) => {
+    const cellKey = key(result.quiz_id && result.quiz_id._id ? result.quiz_id._id : result.quiz_id, result.student_id);
+    if (!resultsByCell.has(cellKey)) resultsByCell.set(cellKey, []);
+    resultsByCell.get(cellKey).push(result);
+  });
+  const accommodationByCell = new Map(
+    accommodations.map((accommodation) => [key(accommodation.quiz_id, accommodation.student_id), accommodation])
+  );
+
+  const rows = students.map((student) => {
+    const cells = quizzes.map((quiz) => gradebookCell(
+      quiz,
+      resultsByCell.get(key(quiz._id, student._id)) || [],
+      accommodationByCell.get(key(quiz._id, student._id)),
+      now
+    ));
+    const counted = cells.filter((cell) => cell.status === 'missing' || (cell.status === 'graded' && cell.percent != null));
+    return {
+      student: { _id: student._id, full_name: student.full_name },
+      cells,
+      average: average(counted.map((cell) => (cell.status === 'missing' ? 0 : cell.percent))),
+    };
+  });
+
+  const columns = quizzes.map((quiz, index) => {
+    const graded = rows.map((row) => row.cells[index]).filter((cell) => cell.status === 'graded' && cell.percent != null);
+    return {
+      _id: quiz._id,
+      quiz_name: quiz.quiz_name,
+      state: quizState(quiz, now),
+      graded: graded.length,
+      average: average(graded.map((cell) => cell.percent)),
+    };
+  });
+
+  return { quizzes: columns, students: rows };
+}
+
+const SORT_KEYS = ['name', 'average'];
+
+/**
+ * Sorts the rows of a gradebook in place by student name, average or the
+ * percent of a quiz column (`sort` is then the quiz id). Rows without a
+ * value come last in either order. Returns an error message for an
+ * unknown sort.
+ */
+function sortGradebook(gradebook, sort = 'name', order = 'asc') {
+  if (!['asc', 'desc'].includes(order)) return 'order must be asc or desc';
+
+  let value;
+  if (sort === 'name') {
+    value = (row) => row.student.full_name || '';
+  } else if (sort === 'average') {
+    value = (row) => row.average;
+  } else {
+    const column = gradebook.quizzes.findIndex((quiz) => String(quiz._id) === String(sort));
+    if (column === -1) return `sort must be one of ${SORT_KEYS.join(', ')} or a quiz id`;
+    value = (row) => (row.cells[column].status === 'missing' ? 0 : row.cells[column].percent ?? null);
+  }
+
+  const direction = order === 'desc' ? -1 : 1;
+  const byName = (a, b) => String(a.student.full_name || '').localeCompare(String(b.student.full_name || ''));
+  gradebook.students.sort((a, b) => {
+    const [left, right] = [value(a), value(b)];
+    if (left == null && right == null) return byName(a, b);
+    if (left == null || right == null) return left == null ? 1 : -1;
+    const compared = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    return compared * direction || byName(a, b);
+  });
+  return null;
+}
+
+function cellText(cell) {
+  if (cell.status !== 'graded') return cell.status === 'pending' ? '' : cell.status;
+  const notes = [cell.late && 'late', cell.provisional && 'provisional'].filter(Boolean);
+  return [`${cell.score}/${cell.out_of}`, ...notes].join(' ');
+}
+
+/**
+ * The gradebook as rows of cells for CSV and XLSX exports: a header, a row
+ * per student and a last row with the quiz averages.
+ */
+function gradebookTable(gradebook) {
+  return [
+    ['Student', ...gradebook.quizzes.map((quiz) => quiz.quiz_name), 'Average %'],
+    ...gradebook.students.map((row) => [row.student.full_name, ...row.cells.map(cellText), row.average]),
+    ['Quiz average %', ...gradebook.quizzes.map((quiz) => quiz.average), null],
+  ];
+}
+
+module.exports = { SORT_KEYS, buildGradebook, sortGradebook, gradebookTable };
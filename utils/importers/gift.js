@@ -0,0 +1,244 @@
+/**
+ * Moodle GIFT format parser. Turns a GIFT file into quiz questions and
+ * per-question warnings; questions using constructs we cannot represent
+ * (matching questions, partial credit short answers, ...) are skipped with a warning
+ * instead of failing the whole file.
+ *
+ * https://docs.moodle.org/en/GIFT_format
+ */
+
+const ESCAPED = /\\([~=#{}:\\])/g;
+
+const unescape = (text) => text.replace(ESCAPED, '$1').trim();
+
+// drops the [html] / [markdown] / [plain] / [moodle] format prefix
+const stripFormat = (text) => text.replace(/^\s*\[(html|markdown|plain|moodle)\]/i, '');
+
+/**
+ * Index of the first `char` in `text` from `from` on that is not escaped.
+ */
+function indexOfUnescaped(text, char, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Splits an answer block into `{ marker, weight, text, feedback }` items,
+ * one per unescaped "=" or "~".
+ */
+function splitAnswers(block) {
+  const answers = [];
+  let current = null;
+
+  for (let i = 0; i < block.length; i++) {
+    const char = block[i];
+    if (char === '\\') {
+      if (current) current.raw += block.slice(i, i + 2);
+      i++;
+    } else if (char === '=' || char === '~') {
+      current = { marker: char, raw: '' };
+      answers.push(current);
+    } else if (current) {
+      current.raw += char;
+    }
+  }
+
+  return answers.map(({ marker, raw }) => {
+    let text = raw;
+    let weight = null;
+    const weightMatch = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(text);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      text = text.slice(weightMatch[0].length);
+    }
+    const feedbackAt = indexOfUnescaped(text, '#');
+    const feedback = feedbackAt === -1 ? undefined : unescape(text.slice(feedbackAt + 1));
+    if (feedbackAt !== -1) text = text.slice(0, feedbackAt);
+    return { marker, weight, text: unescape(stripFormat(text)), feedback: feedback || undefined };
+  });
+}
+
+function parseNumeric(block) {
+  const body = block.slice(1).trim();
+  const first = body.startsWith('=') ? splitAnswers(body).find((answer) => answer.marker === '=' && (answer.weight === null || answer.weight === 100)) : null;
+  const spec = first ? first.text : body;
+
+  const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(spec);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+
+  const withTolerance = /^(-?[\d.]+(?:e-?\d+)?)\s*(?::\s*([\d.]+(?:e-?\d+)?))?$/i.exec(spec);
+  if (withTolerance) {
+    return { value: Number(withTolerance[1]), tolerance: Number(withTolerance[2] || 0) };
+  }
+
+  return null;
+}
+
+/**
+ * Feedback of a true/false answer, "#shown when wrong#shown when right"
+ * as Moodle reads it.
+ */
+function trueFalseFeedback(text) {
+  const first = indexOfUnescaped(text, '#');
+  if (first === -1) return {};
+  const second = indexOfUnescaped(text, '#', first + 1);
+  return {
+    wrong: unescape(text.slice(first + 1, second === -1 ? undefined : second)) || undefined,
+    right: second === -1 ? undefined : unescape(text.slice(second + 1)) || undefined,
+  };
+}
+
+/**
+ * Builds one question from the stem and the content of its {...} block.
+ * Returns `{ question, warning }`, either of which may be missing.
+ */
+function buildQuestion(questionText, block) {
+  let body = block;
+  let explanation;
+  const generalFeedback = body.indexOf('####');
+  if (generalFeedback !== -1) {
+    explanation = unescape(body.slice(generalFeedback + 4)) || undefined;
+    body = body.slice(0, generalFeedback);
+  }
+  body = body.trim();
+
+  const base = { question_text: questionText, explanation };
+
+  if (body === '') {
+    return { question: { ...base, question_type: 'essay' } };
+  }
+
+  if (body.startsWith('#')) {
+    const numeric = parseNumeric(body);
+    if (!numeric) return { warning: 'Unsupported numeric answer' };
+    return {
+      question: {
+        ...base,
+        question_type: 'numeric',
+        numeric_answer: { ...numeric, tolerance_type: 'absolute' },
+      },
+    };
+  }
+
+  const trueFalse = /^(T|TRUE|F|FALSE)\b/i.exec(body);
+  if (trueFalse) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+    const { wrong, right } = trueFalseFeedback(body.slice(trueFalse[0].length));
+    return {
+      question: {
+        ...base,
+        question_type: 'choice',
+        options: [
+          { option_text: 'True', is_correct: isTrue, feedback: isTrue ? right : wrong },
+          { option_text: 'False', is_correct: !isTrue, feedback: isTrue ? wrong : right },
+        ],
+      },
+    };
+  }
+
+  const answers = splitAnswers(body);
+  if (answers.length === 0) {
+    return { warning: 'Unrecognized answer block' };
+  }
+  if (answers.some((answer) => /(^|[^\\])->/.test(answer.text))) {
+    return { warning: 'Matching questions are not supported' };
+  }
+
+  // only "=" answers: short answer question
+  if (answers.every((answer) => answer.marker === '=')) {
+    const accepted = answers.filter((answer) => answer.weight === null || answer.weight === 100);
+    const warning = accepted.length < answers.length ? 'Partial credit answers were dropped' : undefined;
+    return {
+      question: {
+        ...base,
+        question_type: 'short_text',
+        text_answer: { accepted_answers: accepted.map((answer) => answer.text) },
+      },
+      warning,
+    };
+  }
+
+  const weighted = answers.some((answer) => answer.weight !== null);
+  const options = answers.map((answer) => ({
+    option_text: answer.text,
+    is_correct: weighted ? answer.weight > 0 : answer.marker === '=',
+    feedback: answer.feedback,
+  }));
+  const correctCount = options.filter((option) => option.is_correct).length;
+
+  return {
+    question: {
+      ...base,
+      question_type: 'choice',
+      is_multiple_choice: weighted && correctCount > 1,
+      options,
+    },
+    warning: answers.some((answer) => answer.weight > 0 && answer.weight < 100)
+      ? 'Partial credit answers were imported as correct'
+      : undefined,
+  };
+}
+
+/**
+ * Parses GIFT text. Returns `{ items, warnings }`: items are
+ * `{ position, title, question }` and warnings `{ position, title, message }`,
+ * `position` being the 1-based index of the item in the file.
+ */
+function parseGift(content) {
+  const lines = String(content)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter((line) => !/^\s*\/\//.test(line));
+
+  const items = lines.join('\n').split(/\n\s*\n/).map((item) => item.trim()).filter(Boolean);
+  const parsed = [];
+  const warnings = [];
+
+  items.forEach((item, index) => {
+    if (/^\$CATEGORY:/i.test(item)) return;
+
+    let text = item;
+    let title;
+    const titleMatch = /^::((?:\\.|[^:\\]|:(?!:))*)::/.exec(text);
+    if (titleMatch) {
+      title = unescape(titleMatch[1]);
+      text = text.slice(titleMatch[0].length);
+    }
+    const warn = (message) => warnings.push({ position: index + 1, title, message });
+
+    const open = indexOfUnescaped(text, '{');
+    const close = open === -1 ? -1 : indexOfUnescaped(text, '}', open);
+    if (open === -1 || close === -1) {
+      warn('No answer block found, item skipped');
+      return;
+    }
+
+    const stem = unescape(stripFormat(text.slice(0, open)));
+    const suffix = unescape(text.slice(close + 1));
+    // "missing word" questions have text after the answer block
+    const questionText = suffix ? `${stem} _____ ${suffix}` : stem;
+
+    if (!questionText) {
+      warn('Question text is empty, item skipped');
+      return;
+    }
+
+    const { question, warning } = buildQuestion(questionText, text.slice(open + 1, close));
+    if (warning) warn(question ? warning : `${warning}, item skipped`);
+    if (question) parsed.push({ position: index + 1, title, question });
+  });
+
+  return { items: parsed, warnings };
+}
+
+module.exports = { parseGift };
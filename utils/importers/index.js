@@ -0,0 +1,79 @@
+const { Question } = require('../../models/models');
+const { parseGift } = require('./gift');
+const { parseMoodleXml } = require('./moodleXml');
+const { parseQtiPackage } = require('./qti');
+const { parseCsv, parseJson } = require('./spreadsheet');
+
+const PARSERS = {
+  gift: parseGift,
+  moodle_xml: parseMoodleXml,
+  qti: parseQtiPackage,
+  csv: parseCsv,
+  json: parseJson,
+};
+
+const IMPORT_FORMATS = Object.keys(PARSERS);
+
+// "PK" zip signature, as raw bytes or base64 encoded in a JSON request
+const isZip = (content) => (Buffer.isBuffer(content)
+  ? content.subarray(0, 2).toString('latin1') === 'PK'
+  : /^\s*UEs[DBF]/.test(content));
+
+// a spreadsheet header row naming the question_text column
+const isCsvHeader = (line) => line.split(/[,;\t]/).some((column) => column.trim().replace(/^"|"$/g, '') === 'question_text');
+
+/**
+ * Guesses the format of an uploaded file from its name and content, which
+ * may also be the text, rows or base64 package sent in a JSON request.
+ */
+function detectFormat(filename, content) {
+  if (content && typeof content === 'object' && !Buffer.isBuffer(content)) return 'json';
+  if (/\.zip$/i.test(filename || '') || isZip(content)) return 'qti';
+  if (/\.csv$/i.test(filename || '')) return 'csv';
+  if (/\.json$/i.test(filename || '')) return 'json';
+
+  const start = String(content.subarray ? content.subarray(0, 200) : content.slice(0, 200));
+  if (/\.xml$/i.test(filename || '') || /^\s*(<\?xml|<quiz[\s>])/.test(start)) return 'moodle_xml';
+  if (/^\s*[[{]/.test(start)) return 'json';
+  if (isCsvHeader(start.replace(/^\uFEFF/, '').split(/\r?\n/)[0])) return 'csv';
+  return 'gift';
+}
+
+/**
+ * Parses `content` in one of IMPORT_FORMATS. Returns `{ items, warnings }`,
+ * see parseGift, and `errors` for items that could not be read.
+ */
+function parseQuestions(format, content) {
+  const parse = PARSERS[format];
+  if (!parse) {
+    const error = new Error(`Unsupported format, expected one of: ${IMPORT_FORMATS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return parse(content);
+}
+
+/**
+ * Parses and validates the questions of a file. Returns
+ * `{ questions, warnings, errors, quiz }`: items that cannot be imported
+ * are left out and reported in `errors` so one bad item does not reject
+ * the whole file, `quiz` holds quiz settings found in the file.
+ */
+function importQuestions(format, content) {
+  const { items, warnings, errors = [], quiz = {} } = parseQuestions(format, content);
+  const questions = [];
+
+  items.forEach(({ position, title, question }) => {
+    const error = new Question(question).validateSync();
+    if (error) {
+      errors.push({ position, title, message: Object.values(error.errors).map((cause) => cause.message).join(', ') });
+    } else {
+      questions.push(question);
+    }
+  });
+  errors.sort((a, b) => a.position - b.position);
+
+  return { questions, warnings, errors, quiz };
+}
+
+module.exports = { IMPORT_FORMATS, detectFormat, parseQuestions, importQuestions };
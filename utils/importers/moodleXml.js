@@ -0,0 +1,186 @@
+/**
+ * Moodle XML question export parser. Supports multichoice, truefalse,
+ * shortanswer, numerical and essay questions; other types are skipped
+ * with a warning.
+ *
+ * https://docs.moodle.org/en/Moodle_XML_format
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['question', 'answer', 'unit'].includes(name),
+});
+
+const ENTITIES = { '&nbsp;': ' ', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Plain text of a Moodle HTML fragment.
+ */
+function stripHtml(html) {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(nbsp|amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity])
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+// <name><text>...</text></name> style elements
+function textOf(node) {
+  if (node == null) return '';
+  if (typeof node !== 'object') return stripHtml(node);
+  return stripHtml(node.text ?? '');
+}
+
+const truthy = (value) => ['1', 'true'].includes(String(value).trim().toLowerCase());
+
+function parseAnswers(question) {
+  return (question.answer || []).map((answer) => ({
+    text: textOf(answer),
+    fraction: Number(answer.fraction || 0),
+    tolerance: answer.tolerance,
+    feedback: textOf(answer.feedback) || undefined,
+  }));
+}
+
+const BUILDERS = {
+  multichoice(question, answers) {
+    const single = question.single === undefined || truthy(question.single);
+    return {
+      question: {
+        question_type: 'choice',
+        is_multiple_choice: !single,
+        options: answers.map((answer) => ({
+          option_text: answer.text,
+          is_correct: answer.fraction > 0,
+          feedback: answer.feedback,
+        })),
+      },
+      warning: single && answers.some((answer) => answer.fraction > 0 && answer.fraction < 100)
+        ? 'Partial credit answers were imported as correct'
+        : undefined,
+    };
+  },
+
+  truefalse(question, answers) {
+    return {
+      question: {
+        question_type: 'choice',
+        options: answers.map((answer) => ({
+          option_text: answer.text.toLowerCase() === 'true' ? 'True' : 'False',
+          is_correct: answer.fraction > 0,
+          feedback: answer.feedback,
+        })),
+      },
+    };
+  },
+
+  shortanswer(question, answers) {
+    const accepted = answers.filter((answer) => answer.fraction === 100);
+    return {
+      question: {
+        question_type: 'short_text',
+        text_answer: {
+          accepted_answers: accepted.map((answer) => answer.text),
+          case_sensitive: truthy(question.usecase),
+        },
+      },
+      warning: accepted.length < answers.length ? 'Partial credit answers were dropped' : undefined,
+    };
+  },
+
+  numerical(question, answers) {
+    const correct = answers.find((answer) => answer.fraction === 100);
+    if (!correct || !Number.isFinite(Number(correct.text))) {
+      return { warning: 'No numeric answer with full credit' };
+    }
+    const units = (question.units && question.units.unit) || [];
+    const baseUnit = units.find((unit) => Number(unit.multiplier) === 1);
+
+    return {
+      question: {
+        question_type: 'numeric',
+        numeric_answer: {
+          value: Number(correct.text),
+          tolerance: Number(correct.tolerance || 0),
+          tolerance_type: 'absolute',
+          unit: baseUnit ? String(baseUnit.unit_name) : undefined,
+        },
+      },
+      warning: answers.length > 1 ? 'Only the answer with full credit was imported' : undefined,
+    };
+  },
+
+  essay() {
+    return { question: { question_type: 'essay' } };
+  },
+};
+
+/**
+ * Parses a Moodle XML export. Returns `{ items, warnings }` like parseGift,
+ * `position` being the 1-based index of the <question> element.
+ */
+function parseMoodleXml(content) {
+  let document;
+  try {
+    document = parser.parse(String(content));
+  } catch (error) {
+    const invalid = new Error('Invalid Moodle XML');
+    invalid.status = 400;
+    throw invalid;
+  }
+  if (!document.quiz) {
+    const invalid = new Error('Invalid Moodle XML: missing <quiz> element');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  const items = [];
+  const warnings = [];
+
+  (document.quiz.question || []).forEach((question, index) => {
+    const type = question.type;
+    if (type === 'category') return;
+
+    const title = textOf(question.name) || undefined;
+    const warn = (message) => warnings.push({ position: index + 1, title, message });
+
+    const build = BUILDERS[type];
+    if (!build) {
+      warn(`Unsupported question type "${type}", item skipped`);
+      return;
+    }
+
+    const questionText = textOf(question.questiontext);
+    if (!questionText) {
+      warn('Question text is empty, item skipped');
+      return;
+    }
+
+    const { question: built, warning } = build(question, parseAnswers(question));
+    if (warning) warn(built ? warning : `${warning}, item skipped`);
+    if (!built) return;
+
+    const points = Number(question.defaultgrade);
+    items.push({
+      position: index + 1,
+      title,
+      question: {
+        question_text: questionText,
+        ...built,
+        points: Number.isFinite(points) && points > 0 ? points : undefined,
+        explanation: textOf(question.generalfeedback) || undefined,
+      },
+    });
+  });
+
+  return { items, warnings };
+}
+
+module.exports = { parseMoodleXml, stripHtml };
@@ -0,0 +1,312 @@
+/**
+ * IMS QTI 2.1 content package parser. Reads the items listed by the
+ * manifest (in assessmentTest order when there is one) and supports choice,
+ * text entry and extended text interactions; anything else is skipped with
+ * a warning. Restores the extra settings written by our own exporter.
+ */
+
+const AdmZip = require('adm-zip');
+const { XMLParser } = require('fast-xml-parser');
+const { stripHtml } = require('./moodleXml');
+const { SETTINGS } = require('../exporters/qti');
+
+// guards against zip bombs, uploads themselves are limited to 5MB
+const MAX_UNPACKED_BYTES = 50 * 1024 * 1024;
+
+const parserOptions = {
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+};
+const manifestParser = new XMLParser({
+  ...parserOptions,
+  isArray: (name) => ['resource', 'file', 'assessmentItemRef', 'assessmentSection', 'testPart'].includes(name),
+});
+const itemParser = new XMLParser({
+  ...parserOptions,
+  stopNodes: ['*.itemBody', '*.modalFeedback'],
+  isArray: (name) => ['responseDeclaration', 'outcomeDeclaration', 'value', 'mapEntry', 'modalFeedback'].includes(name),
+});
+const bodyParser = new XMLParser({
+  ...parserOptions,
+  stopNodes: ['*.prompt', '*.simpleChoice'],
+  isArray: (name) => ['simpleChoice'].includes(name),
+});
+
+const INTERACTIONS = ['choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction'];
+// interactions with their content, removed to get the text around them
+const INTERACTION_MARKUP = /<((?:\w+:)?\w+Interaction)\b[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g;
+const FEEDBACK_INLINE = /<((?:\w+:)?feedbackInline)\b[^>]*>([\s\S]*?)<\/\1>/g;
+
+const invalidPackage = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const asArray = (value) => (value === undefined ? [] : [].concat(value));
+const textValue = (node) => (node && typeof node === 'object' ? node['#text'] ?? '' : node ?? '');
+
+/**
+ * Every element called `name` below `node`, depth first.
+ */
+function findAll(node, name, found = []) {
+  if (!node || typeof node !== 'object') return found;
+  Object.entries(node).forEach(([key, value]) => {
+    asArray(value).forEach((child) => {
+      if (key === name) found.push(child);
+      findAll(child, name, found);
+    });
+  });
+  return found;
+}
+
+function readZip(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'base64');
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw invalidPackage('Invalid QTI package: not a zip file');
+  }
+
+  const entries = zip.getEntries();
+  const unpacked = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (unpacked > MAX_UNPACKED_BYTES) throw invalidPackage('Invalid QTI package: too large');
+
+  const files = new Map(entries.map((entry) => [entry.entryName.replace(/^\.?\//, ''), entry]));
+  return (path) => {
+    const entry = files.get(path);
+    return entry ? entry.getData().toString('utf8') : null;
+  };
+}
+
+// resolves `href` relative to the file at `base`
+function resolvePath(base, href) {
+  const parts = base.split('/').slice(0, -1);
+  href.split('/').forEach((part) => {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+/**
+ * Item files in test order with their manifest metadata, and the quiz
+ * settings found in the manifest and the test.
+ */
+function readManifest(read) {
+  const source = read('imsmanifest.xml');
+  if (!source) throw invalidPackage('Invalid QTI package: imsmanifest.xml is missing');
+
+  const manifest = manifestParser.parse(source).manifest;
+  if (!manifest) throw invalidPackage('Invalid QTI package: no <manifest> element');
+
+  const resources = asArray(manifest.resources && manifest.resources.resource);
+  const items = resources.filter((resource) => /^imsqti_item_/.test(resource.type || ''));
+  const byHref = new Map(items.map((resource) => [resource.href, resource]));
+  const quiz = {};
+  let ordered = items;
+
+  const test = resources.find((resource) => /^imsqti_test_/.test(resource.type || ''));
+  if (test) {
+    const settings = test.metadata && test.metadata.settings;
+    if (settings) {
+      let parsed;
+      try {
+        parsed = JSON.parse(textValue(settings));
+      } catch (error) {
+        // settings from another tool, ignore them
+      }
+      // only the policies our exporter writes, anything else in there could
+      // overwrite the class, status or questions of the new quiz
+      SETTINGS.forEach((field) => {
+        const value = parsed && parsed[field];
+        if (value && typeof value === 'object' && !Array.isArray(value)) quiz[field] = value;
+      });
+    }
+
+    const testSource = test.href && read(test.href);
+    const assessment = testSource && manifestParser.parse(testSource).assessmentTest;
+    if (assessment) {
+      if (assessment.title) quiz.quiz_name = assessment.title;
+      const maxTime = Number(assessment.timeLimits && assessment.timeLimits.maxTime);
+      if (maxTime > 0) quiz.duration = Math.round(maxTime / 60);
+
+      const refs = findAll(assessment, 'assessmentItemRef')
+        .map((ref) => byHref.get(resolvePath(test.href, ref.href)))
+        .filter(Boolean);
+      if (refs.length > 0) ordered = refs;
+    }
+  }
+
+  return { items: ordered, quiz };
+}
+
+function outcomeDefault(item, identifier) {
+  const outcome = asArray(item.outcomeDeclaration).find((declaration) => declaration.identifier === identifier);
+  const [value] = asArray(outcome && outcome.defaultValue && outcome.defaultValue.value);
+  return value === undefined ? undefined : Number(textValue(value));
+}
+
+function choiceQuestion(interaction, declaration) {
+  const correct = new Set(asArray(declaration.correctResponse && declaration.correctResponse.value).map(textValue));
+  const options = asArray(interaction.simpleChoice).map((choice) => {
+    const raw = textValue(choice);
+    const feedback = [...raw.matchAll(FEEDBACK_INLINE)].map((match) => stripHtml(match[2])).join('\n');
+    return {
+      option_text: stripHtml(raw.replace(FEEDBACK_INLINE, '')),
+      is_correct: correct.has(choice.identifier),
+      feedback: feedback || undefined,
+    };
+  });
+
+  return {
+    question_type: 'choice',
+    is_multiple_choice: declaration.cardinality === 'multiple' || Number(interaction.maxChoices ?? 1) !== 1,
+    options,
+  };
+}
+
+function textEntryQuestion(item, declaration) {
+  const processing = item.responseProcessing;
+  const correct = asArray(declaration.correctResponse && declaration.correctResponse.value).map(textValue);
+
+  if (['float', 'integer'].includes(declaration.baseType)) {
+    const [equal] = findAll(processing, 'equal');
+    const mode = equal && equal.toleranceMode;
+    const tolerance = mode && mode !== 'exact' ? Number(String(equal.tolerance).split(/\s+/)[0]) : 0;
+    return {
+      question_type: 'numeric',
+      numeric_answer: {
+        value: Number(correct[0]),
+        tolerance: mode === 'relative' ? Number((tolerance / 100).toPrecision(12)) : tolerance,
+        tolerance_type: mode === 'relative' ? 'relative' : 'absolute',
+      },
+    };
+  }
+
+  const entries = asArray(declaration.mapping && declaration.mapping.mapEntry)
+    .filter((entry) => Number(entry.mappedValue) > 0);
+  const accepted = [...new Set([...entries.map((entry) => entry.mapKey), ...correct])];
+  const [patternMatch] = findAll(processing, 'patternMatch');
+
+  return {
+    question_type: 'short_text',
+    text_answer: {
+      accepted_answers: accepted,
+      case_sensitive: entries.some((entry) => entry.caseSensitive === 'true'),
+      pattern: patternMatch ? patternMatch.pattern : undefined,
+    },
+  };
+}
+
+/**
+ * One question from an assessmentItem. Returns `{ title, question }` or
+ * `{ title, warning }`.
+ */
+function parseItem(source) {
+  const item = itemParser.parse(source).assessmentItem;
+  if (!item || !item.itemBody) return { warning: 'Not a QTI 2.1 assessment item' };
+  const { title } = item;
+
+  const rawBody = textValue(item.itemBody);
+  const body = bodyParser.parse(`<itemBody>${rawBody}</itemBody>`).itemBody;
+  const interactions = INTERACTIONS.flatMap((name) => findAll(body, name).map((node) => ({ name, node })));
+
+  if (interactions.length !== 1) {
+    return {
+      title,
+      warning: interactions.length === 0
+        ? 'Unsupported interaction type'
+        : 'Items with several interactions are not supported',
+    };
+  }
+
+  const [{ name, node }] = interactions;
+  const declaration = asArray(item.responseDeclaration)
+    .find((candidate) => candidate.identifier === node.responseIdentifier);
+  if (!declaration) return { title, warning: 'Missing response declaration' };
+
+  const prompt = node.prompt ? stripHtml(textValue(node.prompt)) : '';
+  const stem = stripHtml(rawBody.replace(INTERACTION_MARKUP, ''));
+  const questionText = [stem, prompt].filter(Boolean).join('\n');
+
+  let question;
+  if (name === 'choiceInteraction') question = choiceQuestion(node, declaration);
+  else if (name === 'textEntryInteraction') question = textEntryQuestion(item, declaration);
+  else question = { question_type: 'essay' };
+
+  const points = outcomeDefault(item, 'MAXSCORE');
+  const explanation = asArray(item.modalFeedback).map((feedback) => stripHtml(textValue(feedback))).join('\n');
+
+  return {
+    title,
+    question: {
+      question_text: questionText,
+      ...question,
+      points: Number.isFinite(points) && points >= 0 ? points : undefined,
+      explanation: explanation || undefined,
+    },
+  };
+}
+
+// settings written by our exporter in the manifest
+function applyExtension(question, resource) {
+  const extension = resource.metadata && resource.metadata.item;
+  if (!extension) return question;
+
+  const flag = (value) => (value === undefined ? undefined : value === 'true');
+  if (extension.pool) question.pool = extension.pool;
+  if (question.numeric_answer && extension.unit) question.numeric_answer.unit = extension.unit;
+  if (question.text_answer) {
+    question.text_answer.case_sensitive = flag(extension.case_sensitive) ?? question.text_answer.case_sensitive;
+    question.text_answer.normalize_whitespace = flag(extension.normalize_whitespace);
+  }
+  if (extension.option_texts && question.options) {
+    let texts;
+    try {
+      texts = JSON.parse(extension.option_texts);
+    } catch (error) {
+      // leave the texts read from the item
+    }
+    const matches = Array.isArray(texts) && texts.length === question.options.length
+      && texts.every((text) => typeof text === 'string');
+    if (matches) question.options.forEach((option, index) => { option.option_text = texts[index]; });
+  }
+  return question;
+}
+
+/**
+ * Parses a zipped QTI 2.1 package (a Buffer, or base64 text). Returns
+ * `{ items, warnings, quiz }` like parseGift, `quiz` holding the quiz
+ * name, duration and policies found in the package.
+ */
+function parseQtiPackage(content) {
+  const read = readZip(content);
+  const { items: resources, quiz } = readManifest(read);
+  const items = [];
+  const warnings = [];
+
+  resources.forEach((resource, index) => {
+    const position = index + 1;
+    const source = read(resource.href);
+    if (!source) {
+      warnings.push({ position, title: resource.identifier, message: `File ${resource.href} is missing, item skipped` });
+      return;
+    }
+
+    const { title, question, warning } = parseItem(source);
+    if (!question) {
+      warnings.push({ position, title, message: `${warning}, item skipped` });
+      return;
+    }
+    items.push({ position, title, question: applyExtension(question, resource) });
+  });
+
+  return { items, warnings, quiz };
+}
+
+module.exports = { parseQtiPackage };
@@ -0,0 +1,186 @@
+/**
+ * Questions written in a spreadsheet, one per row, uploaded as CSV or as a
+ * JSON array of rows. Columns:
+ *
+ * - question_text
+ * - question_type: choice (default), numeric, short_text or essay
+ * - options: "Paris|London|Rome", or one option_1, option_2, ... column each
+ * - correct: the correct options by number or letter ("1,3" or "A,C");
+ *   the value of numeric questions; the accepted answers of short_text
+ *   questions separated by "|"
+ * - is_multiple_choice: yes/no, defaults to yes when several options are correct
+ * - points, explanation, tolerance, unit (all optional)
+ *
+ * JSON rows may also use the quiz question format itself, with `options`
+ * as `{ option_text, is_correct }` objects.
+ */
+
+const { parse } = require('csv-parse/sync');
+
+const QUESTION_FIELDS = [
+  'question_text',
+  'question_type',
+  'options',
+  'is_multiple_choice',
+  'points',
+  'explanation',
+  'numeric_answer',
+  'text_answer',
+  'pool',
+];
+
+const blank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const splitList = (value, separator) => (Array.isArray(value) ? value : String(value).split(separator))
+  .map((item) => String(item).trim())
+  .filter(Boolean);
+
+function parseFlag(value) {
+  if (blank(value)) return undefined;
+  if (typeof value === 'boolean') return value;
+  const flag = String(value).trim().toLowerCase();
+  if (['yes', 'y', 'true', '1', 'x'].includes(flag)) return true;
+  if (['no', 'n', 'false', '0'].includes(flag)) return false;
+  throw new Error(`Invalid yes/no value "${value}"`);
+}
+
+function parseNumber(value, column) {
+  if (blank(value)) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`${column} must be a number`);
+  return number;
+}
+
+function optionTexts(row) {
+  if (!blank(row.options)) return splitList(row.options, '|');
+  return Object.keys(row)
+    .map((column) => /^option_?(\d+)$/i.exec(column))
+    .filter(Boolean)
+    .sort((a, b) => Number(a[1]) - Number(b[1]))
+    .map((match) => row[match[0]])
+    .filter((text) => !blank(text))
+    .map((text) => String(text).trim());
+}
+
+// "2" or "B" to the 0-based index of the option
+function optionIndex(reference, count) {
+  let index = -1;
+  if (/^\d+$/.test(reference)) index = Number(reference) - 1;
+  else if (/^[a-z]$/i.test(reference)) index = reference.toUpperCase().charCodeAt(0) - 65;
+
+  if (index < 0 || index >= count) {
+    throw new Error(`correct refers to option "${reference}" which does not exist`);
+  }
+  return index;
+}
+
+/**
+ * Quiz question of one row. Throws on cells that cannot be read; the
+ * question itself is validated by the caller.
+ */
+function rowToQuestion(row) {
+  if (Array.isArray(row.options) && row.options.some((option) => option && typeof option === 'object')) {
+    return Object.fromEntries(QUESTION_FIELDS.filter((field) => row[field] !== undefined).map((field) => [field, row[field]]));
+  }
+
+  const questionType = blank(row.question_type) ? 'choice' : String(row.question_type).trim().toLowerCase();
+  const question = {
+    question_text: blank(row.question_text) ? undefined : String(row.question_text).trim(),
+    question_type: questionType,
+    points: parseNumber(row.points, 'points'),
+    explanation: blank(row.explanation) ? undefined : String(row.explanation).trim(),
+  };
+
+  if (questionType === 'numeric') {
+    question.numeric_answer = blank(row.correct) ? undefined : {
+      value: parseNumber(row.correct, 'correct'),
+      tolerance: parseNumber(row.tolerance, 'tolerance'),
+      unit: blank(row.unit) ? undefined : String(row.unit).trim(),
+    };
+  } else if (questionType === 'short_text') {
+    question.text_answer = blank(row.correct) ? undefined : { accepted_answers: splitList(row.correct, '|') };
+  } else if (questionType === 'choice') {
+    const texts = optionTexts(row);
+    if (texts.length === 0) throw new Error('options are required for choice questions');
+    const correct = new Set(
+      (blank(row.correct) ? [] : splitList(row.correct, /[,;|]/)).map((reference) => optionIndex(reference, texts.length))
+    );
+    if (correct.size === 0) throw new Error('correct is required for choice questions');
+
+    const multiple = parseFlag(row.is_multiple_choice);
+    if (multiple === false && correct.size > 1) {
+      throw new Error('Several correct options but is_multiple_choice is "no"');
+    }
+    question.is_multiple_choice = multiple ?? correct.size > 1;
+    question.options = texts.map((text, index) => ({ option_text: text, is_correct: correct.has(index) }));
+  }
+
+  return question;
+}
+
+function rowsToItems(rows, firstRow) {
+  const items = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const position = firstRow + index;
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      errors.push({ position, message: 'Row is not an object' });
+      return;
+    }
+    if (Object.values(row).every(blank)) return;
+
+    try {
+      items.push({ position, question: rowToQuestion(row) });
+    } catch (error) {
+      errors.push({ position, message: error.message });
+    }
+  });
+
+  return { items, warnings: [], errors };
+}
+
+const invalidFile = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parses CSV with a header row. `position` is the spreadsheet row number,
+ * the header being row 1.
+ */
+function parseCsv(content) {
+  let rows;
+  try {
+    rows = parse(String(content), {
+      bom: true,
+      columns: (header) => header.map((column) => column.trim().toLowerCase()),
+      skip_empty_lines: false,
+      relax_column_count: true,
+      trim: true,
+    });
+  } catch (error) {
+    throw invalidFile(`Invalid CSV: ${error.message}`);
+  }
+  return rowsToItems(rows, 2);
+}
+
+/**
+ * Parses a JSON array of rows, or an object with a `questions` array.
+ * `position` is the 1-based index in the array.
+ */
+function parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(String(content));
+  } catch (error) {
+    throw invalidFile(`Invalid JSON: ${error.message}`);
+  }
+  const rows = Array.isArray(data) ? data : data && data.questions;
+  if (!Array.isArray(rows)) throw invalidFile('Invalid JSON: expected an array of questions');
+
+  return rowsToItems(rows, 1);
+}
+
+module.exports = { parseCsv, parseJson };
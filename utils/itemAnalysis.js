@@ -0,0 +1,232 @@
+/**
+ * Item analysis of a quiz from the stored answers: how hard each question
+ * is, how well it separates strong from weak students, which wrong options
+ * draw answers, and how reliable the quiz is as a whole.
+ *
+ * Every student counts once, with their first attempt. Answers are graded
+ * against the current answer key like a regrade would; essays count once
+ * the teacher graded them. Questions are scored right or wrong (full
+ * points or not), as the p-value, point-biserial and KR-20 expect.
+ */
+
+const { QuizVariant, StudentResponse, StudentResult } = require('../models/models');
+const { correctedQuestions, regradeResult } = require('./regrade');
+const { variantQuestions } = require('./quizVariant');
+const { quizAtVersion } = require('./quizVersions');
+
+// below/above these a question gets flagged, see questionFlags
+const FLAG_THRESHOLDS = { too_hard: 0.3, too_easy: 0.9, low_discrimination: 0.2 };
+
+const round = (value) => (value == null ? null : Math.round(value * 1000) / 1000);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// population variance, as in the KR-20 formula
+const variance = (values) => {
+  const average = mean(values);
+  return mean(values.map((value) => (value - average) ** 2));
+};
+
+function correlation(xs, ys) {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+  if (!varianceX || !varianceY) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+function isAnswered(response) {
+  if (!response) return false;
+  if ((response.selected_options || []).length) return true;
+  return response.answer != null && String(response.answer).trim() !== '';
+}
+
+/**
+ * Right (1) or wrong (0) for every question a student was given and that
+ * is graded, by question id. Dropped questions and essays waiting for a
+ * grade are left out.
+ */
+function scoredItems(breakdown) {
+  return new Map(
+    breakdown
+      .filter((entry) => entry.points_possible > 0 && !entry.needs_grading)
+      .map((entry) => [String(entry.question_id), entry.is_correct ? 1 : 0])
+  );
+}
+
+function questionFlags(item) {
+  const flags = [];
+  if (item.p_value == null) return flags;
+  if (item.p_value < FLAG_THRESHOLDS.too_hard) flags.push('too_hard');
+  if (item.p_value > FLAG_THRESHOLDS.too_easy) flags.push('too_easy');
+  if (item.discrimination != null && item.discrimination < FLAG_THRESHOLDS.low_discrimination) {
+    flags.push('low_discrimination');
+  }
+  const keyPicks = item.options.filter((option) => option.is_correct).map((option) => option.picked);
+  const mostPickedKey = keyPicks.length ? Math.max(...keyPicks) : 0;
+  if (item.options.some((option) => !option.is_correct && option.picked > mostPickedKey)) {
+    flags.push('misleading_distractor');
+  }
+  return flags;
+}
+
+/**
+ * KR-20 over the students who have a graded answer to every question,
+ * null when fewer than two questions or students are left or every
+ * student has the same number of right answers.
+ */
+function kr20(questionIds, scores) {
+  const complete = scores.filter((items) => questionIds.every((id) => items.has(id)));
+  const k = questionIds.length;
+  if (k < 2 || complete.length < 2) return { kr20: null, students: complete.length };
+
+  const totalVariance = variance(complete.map((items) => questionIds.reduce((sum, id) => sum + items.get(id), 0)));
+  if (!totalVariance) return { kr20: null, students: complete.length };
+
+  const itemVariance = questionIds.reduce((sum, id) => {
+    const p = mean(complete.map((items) => items.get(id)));
+    return sum + p * (1 - p);
+  }, 0);
+  return { kr20: round((k / (k - 1)) * (1 - itemVariance / totalVariance)), students: complete.length };
+}
+
+/**
+ * Item analysis of `quiz` from graded `submissions`, one per student:
+ * `{ breakdown, responses }` with the breakdown of the questions the
+ * student was given and the answers as stored on StudentResponse.
+ */
+function analyzeItems(quiz, submissions) {
+  const scores = submissions.map((submission) => scoredItems(submission.breakdown));
+  const totals = scores.map((items) => [...items.values()].reduce((sum, value) => sum + value, 0));
+  const answers = submissions.map((submission) => new Map(
+    (submission.responses || []).map((response) => [String(response.question_id), response])
+  ));
+
+  const questions = quiz.questions.map((question, index) => {
+    const id = String(question._id);
+    const given = scores.map((items, student) => ({ student, score: items.get(id) })).filter(({ score }) => score != null);
+    const picks = new Map();
+    let omitted = 0;
+    for (const { student } of given) {
+      const response = answers[student].get(id);
+      if (!isAnswered(response)) omitted++;
+      for (const optionId of (response && response.selected_options) || []) {
+        picks.set(String(optionId), (picks.get(String(optionId)) || 0) + 1);
+      }
+    }
+
+    const correct = given.filter(({ score }) => score === 1).length;
+    const item = {
+      question_id: question._id,
+      position: index + 1,
+      question_text: question.question_text,
+      question_type: question.question_type || 'choice',
+      students: given.length,
+      correct,
+      omitted,
+      p_value: given.length ? round(correct / given.length) : null,
+      // against the score on the other questions, so the question does not correlate with itself
+      discrimination: round(correlation(
+        given.map(({ score }) => score),
+        given.map(({ student, score }) => totals[student] - score)
+      )),
+      options: (question.options || []).map((option) => ({
+        option_id: option._id,
+        option_text: option.option_text,
+        is_correct: Boolean(option.is_correct),
+        picked: picks.get(String(option._id)) || 0,
+        picked_fraction: given.length ? round((picks.get(String(option._id)) || 0) / given.length) : null,
+      })),
+    };
+    return { ...item, flags: questionFlags(item) };
+  });
+
+  const analyzed = questions.filter((item) => item.students > 0).map((item) => String(item.question_id));
+  const reliability = kr20(analyzed, scores);
+
+  return {
+    quiz_id: quiz._id,
+    quiz_name: quiz.quiz_name,
+    students: submissions.length,
+    kr20: reliability.kr20,
+    kr20_students: reliability.students,
+    questions,
+  };
+}
+
+/**
+ * Graded first attempt of every student who submitted `quiz`, ready for
+ * analyzeItems.
+ */
+async function loadSubmissions(quiz) {
+  const responses = await StudentResponse.find({ quiz_id: quiz._id }).sort({ attempt: 1, submitted_at: 1 });
+  const firstAttempts = new Map();
+  for (const response of responses) {
+    const key = String(response.student_id);
+    if (!firstAttempts.has(key)) firstAttempts.set(key, response);
+  }
+
+  const versions = new Map();
+  const submissions = [];
+  for (const response of firstAttempts.values()) {
+    const version = response.quiz_version || 1;
+    if (!versions.has(version)) versions.set(version, await quizAtVersion(quiz, version));
+    const variant = response.variant_id ? await QuizVariant.findById(response.variant_id) : null;
+    const questions = correctedQuestions(variantQuestions(versions.get(version), variant), quiz.questions);
+    // keeps the essay grades given by the teacher
+    const result = await StudentResult.findOne({ response_id: response._id });
+
+    const { breakdown } = regradeResult(result || {}, questions, response.responses, {
+      scoring_policy: quiz.scoring_policy,
+      grading_overrides: quiz.grading_overrides,
+    });
+    submissions.push({ breakdown, responses: response.responses });
+  }
+  return submissions;
+}
+
+/**
+ * One CSV row per option of every question (one row for questions
+ * without options), the question columns repeated on each.
+ */
+function analysisRows(analysis) {
+  return analysis.questions.flatMap((item) => {
+    const question = {
+      position: item.position,
+      question_id: String(item.question_id),
+      question_text: item.question_text,
+      question_type: item.question_type,
+      students: item.students,
+      correct: item.correct,
+      omitted: item.omitted,
+      p_value: item.p_value,
+      discrimination: item.discrimination,
+      flags: item.flags.join(' '),
+      kr20: analysis.kr20,
+    };
+    if (!item.options.length) return [question];
+    return item.options.map((option) => ({
+      ...question,
+      option_text: option.option_text,
+      option_is_correct: option.is_correct,
+      option_picked: option.picked,
+      option_picked_fraction: option.picked_fraction,
+    }));
+  });
+}
+
+const ANALYSIS_CSV_FIELDS = [
+  'position', 'question_id', 'question_text', 'question_type', 'students', 'correct', 'omitted',
+  'p_value', 'discrimination', 'flags', 'option_text', 'option_is_correct', 'option_picked',
+  'option_picked_fraction', 'kr20',
+];
+
+module.exports = { FLAG_THRESHOLDS, ANALYSIS_CSV_FIELDS, analyzeItems, loadSubmissions, analysisRows };
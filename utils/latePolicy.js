@@ -0,0 +1,60 @@
+const { quizWindow } = require('./quizWindow');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Minutes a submission started or made at `at` is late, counted from the
+ * end of the grace period that follows the (possibly accommodated) quiz
+ * window. 0 when it is on time.
+ */
+function lateMinutes(quiz, at, accommodation) {
+  const { end } = quizWindow(quiz, accommodation);
+  if (!end) return 0;
+
+  const grace = (quiz.late_policy && quiz.late_policy.grace_minutes) || 0;
+  const minutes = (at.getTime() - end.getTime()) / 60000 - grace;
+  return minutes > 0 ? Math.ceil(minutes) : 0;
+}
+
+/**
+ * Points removed from a submission `minutes` late out of `outOf` points,
+ * following the quiz late_policy. Percentages are of the points possible
+ * and started hours count as whole hours; max_penalty caps percentages
+ * (in percent) and flat amounts (in points).
+ */
+function latePenalty(policy, minutes, outOf) {
+  if (!policy || !minutes) return 0;
+
+  const amount = policy.penalty || 0;
+  const cap = policy.max_penalty;
+  switch (policy.penalty_type) {
+    case 'percent_per_minute':
+    case 'percent_per_hour': {
+      const units = policy.penalty_type === 'percent_per_hour' ? Math.ceil(minutes / 60) : minutes;
+      const percent = Math.min(amount * units, cap ?? 100, 100);
+      return (outOf * percent) / 100;
+    }
+    case 'flat':
+      return Math.min(amount, cap ?? amount);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Totals of a result (`score`, `out_of`, ...) with the late penalty taken
+ * off the score. The penalty never takes the score below zero; the points
+ * actually removed are returned as `late_penalty`.
+ */
+function applyLatePenalty(totals, policy, minutes) {
+  const penalty = Math.min(latePenalty(policy, minutes, totals.out_of), Math.max(totals.score, 0));
+  return {
+    ...totals,
+    score: round(totals.score - penalty),
+    late: minutes > 0,
+    late_minutes: minutes || 0,
+    late_penalty: round(penalty),
+  };
+}
+
+module.exports = { lateMinutes, latePenalty, applyLatePenalty };
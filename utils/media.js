@@ -0,0 +1,152 @@
+/**
+ * Images and files attached to quiz questions and options. Uploads are
+ * recorded as Media documents and their bytes kept by the storage backend
+ * (see utils/storage). Questions and options reference them by id in
+ * their `media` arrays.
+ */
+
+const mongoose = require('mongoose');
+const { Media } = require('../models/models');
+const { getStorage } = require('./storage');
+
+const MAX_MEDIA_BYTES = 5 * 1024 * 1024;
+
+// formats are recognised by their content, never by the name or the
+// content type sent by the client; SVG is left out as it can carry scripts
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+];
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+
+/**
+ * MIME type of an uploaded file from its first bytes, null when it is not
+ * one of the accepted formats.
+ */
+function detectMediaType(buffer) {
+  if (!buffer || !buffer.length) return null;
+  const known = SIGNATURES.find(({ bytes }) => startsWith(buffer, bytes));
+  if (known) return known.mime;
+  // RIFF....WEBP
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Checks an uploaded file (as given by multer) and returns `{ mimeType }`
+ * or `{ error }`.
+ */
+function checkUpload(file) {
+  if (!file) return { error: 'A file is required' };
+  if (file.size > MAX_MEDIA_BYTES) return { error: 'File is too large' };
+  const mimeType = detectMediaType(file.buffer);
+  if (!mimeType) return { error: 'Unsupported file type, use PNG, JPEG, GIF, WebP or PDF' };
+  return { mimeType };
+}
+
+const storageKey = (media) => `${media.class_id}/${media.quiz_id}/${media._id}`;
+
+/**
+ * Stores an uploaded file for `quiz` and records it. Resolves to the Media.
+ */
+async function storeMedia(quiz, file, mimeType, uploadedBy) {
+  const media = new Media({
+    class_id: quiz.class_id,
+    quiz_id: quiz._id,
+    uploaded_by: uploadedBy,
+    original_name: file.originalname,
+    mime_type: mimeType,
+    size: file.size,
+  });
+  media.storage_key = storageKey(media);
+  await getStorage().save(media.storage_key, file.buffer, { contentType: mimeType });
+  await media.save();
+  return media;
+}
+
+function readMedia(media) {
+  return getStorage().read(media.storage_key);
+}
+
+/**
+ * Removes every file uploaded to a quiz, used when the quiz is deleted.
+ */
+async function removeQuizMedia(quiz) {
+  const media = await Media.find({ quiz_id: quiz._id });
+  const storage = getStorage();
+  for (const item of media) {
+    await storage.remove(item.storage_key);
+  }
+  await Media.deleteMany({ quiz_id: quiz._id });
+}
+
+/**
+ * Every media id referenced by the questions and options of a quiz.
+ */
+function referencedMedia(questions = []) {
+  const ids = [];
+  for (const question of questions) {
+    ids.push(...(question.media || []));
+    for (const option of question.options || []) ids.push(...(option.media || []));
+  }
+  return [...new Set(ids.map(String))];
+}
+
+/**
+ * Media ids referenced by `questions` that were not uploaded to `quiz`.
+ */
+async function unknownMedia(quiz, questions) {
+  const ids = referencedMedia(questions);
+  const valid = ids.filter((id) => mongoose.isValidObjectId(id));
+  if (!valid.length) return ids;
+  const found = await Media.find({ _id: { $in: valid }, quiz_id: quiz._id }).select('_id');
+  const known = new Set(found.map((media) => String(media._id)));
+  return ids.filter((id) => !known.has(id));
+}
+
+/**
+ * Copies the files referenced by `source` to the unsaved quiz `copy` and
+ * points the questions of the copy at the new files.
+ */
+async function duplicateMedia(copy, source) {
+  const media = await Media.find({ quiz_id: source._id, _id: { $in: referencedMedia(source.questions) } });
+  const storage = getStorage();
+  const ids = new Map();
+  for (const item of media) {
+    const duplicate = new Media({
+      class_id: copy.class_id,
+      quiz_id: copy._id,
+      uploaded_by: item.uploaded_by,
+      original_name: item.original_name,
+      mime_type: item.mime_type,
+      size: item.size,
+    });
+    duplicate.storage_key = storageKey(duplicate);
+    await storage.save(duplicate.storage_key, await storage.read(item.storage_key), { contentType: item.mime_type });
+    await duplicate.save();
+    ids.set(String(item._id), duplicate._id);
+  }
+
+  const remap = (list) => (list || []).map((id) => ids.get(String(id))).filter(Boolean);
+  for (const question of copy.questions) {
+    question.media = remap(question.media);
+    for (const option of question.options) option.media = remap(option.media);
+  }
+}
+
+module.exports = {
+  MAX_MEDIA_BYTES,
+  detectMediaType,
+  checkUpload,
+  storeMedia,
+  readMedia,
+  removeQuizMedia,
+  referencedMedia,
+  unknownMedia,
+  duplicateMedia,
+};
@@ -0,0 +1,282 @@
+/**
+ * Paper copies of a quiz for when it cannot be taken online: printable
+ * HTML or PDF of the questions and of the answer key, optionally as
+ * several shuffled variants labelled A, B, C, ...
+ *
+ * The HTML shows the rendered question and option texts, the PDF their
+ * plain text. Uploaded media are not printed, questions that have some
+ * say so.
+ */
+
+const PDFDocument = require('pdfkit');
+const { buildVariant, variantQuestions } = require('./quizVariant');
+const { questionHtml, optionHtml, htmlToText } = require('./richText');
+
+const MAX_VARIANTS = 26;
+
+const MEDIA_NOTE = 'The attached media are not included in this printout.';
+
+const variantLabel = (index) => String.fromCharCode(65 + index);
+const optionLetter = (index) => String.fromCharCode(97 + index);
+
+function formatNumber(value) {
+  return Number.isFinite(value) ? String(Number(value.toPrecision(12))) : String(value);
+}
+
+// The expected answer of a question as printed in the key
+function answerKey(question, options) {
+  switch (question.question_type || 'choice') {
+    case 'numeric': {
+      const { value, tolerance, tolerance_type: toleranceType, unit } = question.numeric_answer;
+      let answer = formatNumber(value);
+      if (tolerance) {
+        answer += toleranceType === 'relative'
+          ? ` ± ${formatNumber(tolerance * 100)}%`
+          : ` ± ${formatNumber(tolerance)}`;
+      }
+      return unit ? `${answer} ${unit}` : answer;
+    }
+    case 'short_text': {
+      const { accepted_answers: accepted = [], pattern } = question.text_answer;
+      return [...accepted, ...(pattern ? [`/${pattern}/`] : [])].join(' or ');
+    }
+    case 'essay':
+      return 'Graded by the teacher';
+    default:
+      return options.filter((option) => option.is_correct).map((option) => option.letter).join(', ');
+  }
+}
+
+/**
+ * Numbered questions and lettered options of every paper variant.
+ * A single copy follows the quiz randomization settings; with several
+ * variants questions and options are always shuffled, with a seed per
+ * variant so the same labels always give the same papers.
+ */
+function buildPaper(quiz, cls, variantCount = 1) {
+  const count = Math.min(Math.max(Math.floor(variantCount) || 1, 1), MAX_VARIANTS);
+  const randomization = quiz.randomization && typeof quiz.randomization.toObject === 'function'
+    ? quiz.randomization.toObject()
+    : quiz.randomization || {};
+  const paperQuiz = count > 1
+    ? { questions: quiz.questions, randomization: { ...randomization, shuffle_questions: true, shuffle_options: true } }
+    : quiz;
+
+  const variants = Array.from({ length: count }, (unused, index) => {
+    const label = count > 1 ? variantLabel(index) : null;
+    const seed = `${quiz._id}:paper:${label || ''}`;
+    const questions = variantQuestions(quiz, { questions: buildVariant(paperQuiz, seed) });
+
+    const paperQuestions = questions.map((question, questionIndex) => {
+      const options = (question.options || []).map((option, optionIndex) => ({
+        letter: optionLetter(optionIndex),
+        option_text: option.option_text,
+        option_html: optionHtml(option),
+        is_correct: option.is_correct,
+      }));
+      const hasMedia = [question, ...(question.options || [])].some((item) => (item.media || []).length > 0);
+      return {
+        number: questionIndex + 1,
+        question_text: question.question_text,
+        question_html: questionHtml(question),
+        has_media: hasMedia,
+        question_type: question.question_type || 'choice',
+        is_multiple_choice: question.is_multiple_choice,
+        points: question.points ?? 1,
+        options,
+        answer: answerKey(question, options),
+      };
+    });
+
+    return {
+      label,
+      total_points: paperQuestions.reduce((total, question) => total + question.points, 0),
+      questions: paperQuestions,
+    };
+  });
+
+  return {
+    class_name: cls.class_name,
+    quiz_name: quiz.quiz_name || 'Quiz',
+    duration: quiz.duration,
+    variants,
+  };
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const htmlText = (value) => escapeHtml(value).replace(/\r?\n/g, '<br>');
+
+const STYLE = `
+  body { font-family: Georgia, "Times New Roman", serif; font-size: 12pt; margin: 2cm; color: #000; }
+  header { border-bottom: 2px solid #000; margin-bottom: 1em; }
+  header h1 { font-size: 16pt; margin: 0; }
+  header p { margin: 0.2em 0; }
+  .student { display: flex; gap: 2em; margin: 1em 0; }
+  .student span { flex: 1; border-bottom: 1px solid #000; }
+  ol.questions { padding-left: 1.5em; }
+  ol.questions > li { margin-bottom: 1.2em; page-break-inside: avoid; }
+  .points { float: right; font-size: 10pt; }
+  .media { font-size: 10pt; }
+  ol.options { list-style: lower-alpha; }
+  .line { border-bottom: 1px solid #000; height: 2em; width: 60%; }
+  .essay { border: 1px solid #000; height: 12em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #000; padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+  section + section { page-break-before: always; }
+  @media print { body { margin: 0; } }
+`;
+
+function htmlHeader(paper, variant, title) {
+  return [
+    '<header>',
+    `<h1>${escapeHtml(paper.quiz_name)}${variant.label ? ` &ndash; Variant ${variant.label}` : ''}</h1>`,
+    `<p>${escapeHtml(paper.class_name)}${title ? ` &middot; ${escapeHtml(title)}` : ''}</p>`,
+    `<p>${paper.duration ? `${paper.duration} minutes &middot; ` : ''}${formatNumber(variant.total_points)} points</p>`,
+    '</header>',
+  ].join('\n');
+}
+
+function htmlQuestion(question) {
+  const points = `<span class="points">${formatNumber(question.points)} pt</span>`;
+  let answer;
+  if (question.question_type === 'choice') {
+    const hint = question.is_multiple_choice ? '<p><em>Select all that apply.</em></p>' : '';
+    answer = `${hint}<ol class="options">${question.options
+      .map((option) => `<li>${option.option_html}</li>`)
+      .join('')}</ol>`;
+  } else if (question.question_type === 'essay') {
+    answer = '<div class="essay"></div>';
+  } else {
+    answer = '<div class="line"></div>';
+  }
+  const media = question.has_media ? `<p class="media"><em>${MEDIA_NOTE}</em></p>` : '';
+  return `<li>${points}<div>${question.question_html}</div>${media}${answer}</li>`;
+}
+
+function htmlKey(variant) {
+  const rows = variant.questions.map((question) => `<tr><td>${question.number}</td><td>${htmlText(question.answer)}</td><td>${formatNumber(question.points)}</td></tr>`);
+  return `<table><thead><tr><th>#</th><th>Answer</th><th>Points</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+/**
+ * Self-contained HTML document, the questions or (`key`) the answer key,
+ * one section per variant.
+ */
+function renderHtml(paper, { key = false } = {}) {
+  const sections = paper.variants.map((variant) => {
+    const body = key
+      ? htmlKey(variant)
+      : [
+        '<div class="student"><span>Name:</span><span>Date:</span></div>',
+        `<ol class="questions">${variant.questions.map(htmlQuestion).join('\n')}</ol>`,
+      ].join('\n');
+    return `<section>\n${htmlHeader(paper, variant, key ? 'Answer key' : null)}\n${body}\n</section>`;
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(paper.quiz_name)}${key ? ' - Answer key' : ''}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    ...sections,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+function pdfHeader(doc, paper, variant, title) {
+  doc.font('Helvetica-Bold').fontSize(16)
+    .text(`${paper.quiz_name}${variant.label ? ` - Variant ${variant.label}` : ''}`);
+  doc.font('Helvetica').fontSize(11)
+    .text(`${paper.class_name}${title ? ` - ${title}` : ''}`)
+    .text(`${paper.duration ? `${paper.duration} minutes - ` : ''}${formatNumber(variant.total_points)} points`);
+  const y = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(1.5).stroke();
+  doc.moveDown(1);
+}
+
+function pdfQuestion(doc, question) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.font('Helvetica-Bold').fontSize(11)
+    .text(`${question.number}. `, left, doc.y, { continued: true })
+    .font('Helvetica')
+    .text(`${htmlToText(question.question_html)}  (${formatNumber(question.points)} pt)`, { width });
+  if (question.has_media) {
+    doc.font('Helvetica-Oblique').fontSize(9).text(MEDIA_NOTE, left + 20).font('Helvetica').fontSize(11);
+  }
+
+  if (question.question_type === 'choice') {
+    if (question.is_multiple_choice) doc.font('Helvetica-Oblique').text('Select all that apply.', left + 20);
+    doc.font('Helvetica');
+    question.options.forEach((option) => {
+      doc.text(`${option.letter})  ${htmlToText(option.option_html)}`, left + 20, doc.y, { width: width - 20 });
+    });
+  } else {
+    const height = question.question_type === 'essay' ? 150 : 24;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const top = doc.y + 4;
+    if (question.question_type === 'essay') {
+      doc.rect(left + 20, top, width - 20, height).stroke();
+    } else {
+      doc.moveTo(left + 20, top + height).lineTo(left + width * 0.6, top + height).stroke();
+    }
+    doc.y = top + height;
+  }
+  doc.moveDown(1);
+}
+
+function pdfKey(doc, variant) {
+  const left = doc.page.margins.left;
+  doc.fontSize(11);
+  variant.questions.forEach((question) => {
+    doc.font('Helvetica-Bold').text(`${question.number}.`, left, doc.y, { continued: true })
+      .font('Helvetica').text(`  ${question.answer}  (${formatNumber(question.points)} pt)`);
+    doc.moveDown(0.3);
+  });
+}
+
+/**
+ * The same documents as renderHtml as a PDF, resolves to a Buffer.
+ * Uses the standard PDF fonts, so only Latin-1 text prints correctly.
+ */
+function renderPdf(paper, { key = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      info: { Title: `${paper.quiz_name}${key ? ' - Answer key' : ''}` },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    paper.variants.forEach((variant, index) => {
+      if (index > 0) doc.addPage();
+      pdfHeader(doc, paper, variant, key ? 'Answer key' : null);
+      if (key) {
+        pdfKey(doc, variant);
+      } else {
+        doc.font('Helvetica').fontSize(11).text('Name: ______________________________    Date: ______________');
+        doc.moveDown(1);
+        variant.questions.forEach((question) => pdfQuestion(doc, question));
+      }
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = { MAX_VARIANTS, buildPaper, renderHtml, renderPdf };
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { BankQuestion } = require('../models/models');
+
+// Bank-only fields that do not belong on a quiz question
+const BANK_FIELDS = ['_id', '__v', 'teacher_id', 'tags', 'difficulty', 'createdAt', 'updatedAt'];
+
+/**
+ * Turns a bank question into a plain quiz question. Option ids are dropped so
+ * every quiz gets its own copy, the origin is kept in `bank_question_id`.
+ */
+function toQuizQuestion(bankQuestion) {
+  const question = bankQuestion.toObject();
+  BANK_FIELDS.forEach((field) => delete question[field]);
+  question.options = (question.options || []).map(({ _id, ...option }) => option);
+  question.bank_question_id = bankQuestion._id;
+  return question;
+}
+
+/**
+ * Loads the given bank questions of a teacher, in the order of `ids`.
+ * Throws an error with `status` 400 when `ids` is not an array, 404 when
+ * any of them is missing or not owned by the teacher.
+ */
+async function resolveBankQuestions(teacherId, ids) {
+  if (ids == null) return [];
+  if (!Array.isArray(ids)) {
+    const error = new Error('question_bank_ids must be an array');
+    error.status = 400;
+    throw error;
+  }
+  if (ids.length === 0) return [];
+
+  const invalid = ids.filter((id) => !mongoose.isValidObjectId(id));
+  const bankQuestions = invalid.length
+    ? []
+    : await BankQuestion.find({ _id: { $in: ids }, teacher_id: teacherId });
+  const byId = new Map(bankQuestions.map((question) => [question._id.toString(), question]));
+
+  const missing = ids.filter((id) => !byId.has(String(id)));
+  if (missing.length > 0) {
+    const error = new Error(`Question bank entries not found: ${missing.join(', ')}`);
+    error.status = 404;
+    throw error;
+  }
+
+  return ids.map((id) => toQuizQuestion(byId.get(String(id))));
+}
+
+module.exports = { resolveBankQuestions, toQuizQuestion };
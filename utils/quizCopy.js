@@ -0,0 +1,86 @@
+/**
+ * Copies of a quiz for another class or term. Only the quiz itself is
+ * copied: no attempts, responses, results, versions, accommodations or
+ * grading overrides. Copies start as drafts with new question ids.
+ */
+
+const { Quiz } = require('../models/models');
+
+const COPIED_FIELDS = [
+  'quiz_name',
+  'duration',
+  'questions',
+  'scoring_policy',
+  'randomization',
+  'attempt_policy',
+  'release_policy',
+  'late_policy',
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const withoutId = ({ _id, ...rest }) => rest;
+
+function copyQuestion(question) {
+  const copy = withoutId(plain(question));
+  copy.options = (copy.options || []).map(withoutId);
+  return copy;
+}
+
+/**
+ * Validates the scheduling options of a copy request: `start_date` for
+ * the copies, `shift_days` to move the dates of the original by a number
+ * of days, or neither to leave the copies unscheduled.
+ * Returns `{ schedule }` or `{ error }`.
+ */
+function parseSchedule({ start_date: startDate, shift_days: shiftDays } = {}) {
+  if (startDate != null && shiftDays != null) {
+    return { error: 'Use either start_date or shift_days' };
+  }
+  if (startDate != null) {
+    const date = new Date(startDate);
+    if (Number.isNaN(date.getTime())) return { error: 'start_date must be a date' };
+    return { schedule: { startDate: date } };
+  }
+  if (shiftDays != null) {
+    const days = Number(shiftDays);
+    if (shiftDays === '' || !Number.isFinite(days)) return { error: 'shift_days must be a number' };
+    return { schedule: { shiftDays: days } };
+  }
+  return { schedule: {} };
+}
+
+/**
+ * Unsaved draft copy of `quiz` for the class `classId`. With a `startDate`
+ * or `shiftDays` schedule the start date moves and an "on_date" release
+ * date moves by the same amount; otherwise both are cleared.
+ */
+function copyQuiz(quiz, classId, schedule = {}) {
+  const fields = Object.fromEntries(COPIED_FIELDS.map((field) => [field, plain(quiz[field])]));
+  const start = quiz.start_date ? new Date(quiz.start_date) : null;
+
+  let shift = null;
+  if (schedule.startDate) {
+    shift = start ? schedule.startDate.getTime() - start.getTime() : 0;
+  } else if (schedule.shiftDays != null && start) {
+    shift = schedule.shiftDays * DAY;
+  }
+  const moved = (date) => (date && shift != null ? new Date(new Date(date).getTime() + shift) : undefined);
+
+  const releasePolicy = { ...(fields.release_policy || {}) };
+  if (releasePolicy.release_date) releasePolicy.release_date = moved(releasePolicy.release_date);
+
+  return new Quiz({
+    ...fields,
+    questions: (fields.questions || []).map(copyQuestion),
+    release_policy: releasePolicy,
+    class_id: classId,
+    start_date: schedule.startDate || moved(start),
+    status: 'draft',
+    copied_from: quiz._id,
+  });
+}
+
+module.exports = { parseSchedule, copyQuiz };
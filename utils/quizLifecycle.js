@@ -0,0 +1,107 @@
+const { windowState, WINDOW_ERRORS } = require('./quizWindow');
+
+/**
+ * Lifecycle of a quiz. The teacher moves the stored `status` between
+ * draft, published, closed and archived; a published quiz is "scheduled"
+ * until its start_date, "open" during its window (late submissions
+ * included) and "closed" afterwards.
+ *
+ * - draft: editable, invisible to students
+ * - scheduled: visible, cannot be started yet
+ * - open: students can take it
+ * - closed: no new attempts, results and reviews stay available
+ * - archived: read-only and hidden from the default quiz list
+ */
+const STATES = ['draft', 'scheduled', 'open', 'closed', 'archived'];
+
+const TRANSITIONS = {
+  publish: { from: ['draft'], status: 'published' },
+  unpublish: { from: ['scheduled'], status: 'draft' },
+  close: { from: ['scheduled', 'open'], status: 'closed' },
+  reopen: { from: ['closed'], status: 'published' },
+  archive: { from: ['draft', 'closed'], status: 'archived' },
+  unarchive: { from: ['archived'], status: 'closed' },
+};
+
+/**
+ * Current state of a quiz, one of STATES, for a student with the given
+ * accommodation when there is one.
+ */
+function quizState(quiz, now = new Date(), accommodation) {
+  if (['draft', 'closed', 'archived'].includes(quiz.status)) return quiz.status;
+
+  const window = windowState(quiz, now, accommodation);
+  if (window === 'not_started') return 'scheduled';
+  return window === 'passed' ? 'closed' : 'open';
+}
+
+const isVisibleToStudents = (state) => state !== 'draft';
+
+// archived quizzes have to be unarchived before they can be changed
+const isEditable = (state) => state !== 'archived';
+
+/**
+ * Why a student cannot start the quiz now, null when it is open.
+ */
+function startError(quiz, now = new Date(), accommodation) {
+  switch (quizState(quiz, now, accommodation)) {
+    case 'open':
+      return null;
+    case 'scheduled':
+      return WINDOW_ERRORS.not_started;
+    case 'closed':
+      return quiz.status === 'closed' ? 'Forbidden - Quiz is closed' : WINDOW_ERRORS.passed;
+    case 'archived':
+      return 'Forbidden - Quiz is archived';
+    default:
+      return 'Forbidden - Quiz is not published';
+  }
+}
+
+/**
+ * Applies a lifecycle action ("publish", "close", ...) to a quiz document
+ * without saving it. Returns `{ from, to }` states or `{ error }`.
+ */
+function applyTransition(quiz, action, now = new Date()) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { error: `action must be one of ${Object.keys(TRANSITIONS).join(', ')}` };
+  }
+
+  const from = quizState(quiz, now);
+  if (!transition.from.includes(from)) {
+    return { error: `Cannot ${action} a quiz that is ${from}` };
+  }
+
+  let status = transition.status;
+  // a quiz archived straight from draft goes back to draft
+  if (action === 'unarchive' && !quiz.published_at) status = 'draft';
+
+  if (status === 'published') {
+    if (quiz.questions.length === 0) {
+      return { error: 'A quiz needs questions to be published' };
+    }
+    if (windowState(quiz, now) === 'passed') {
+      return { error: 'The quiz window has already passed, change start_date or duration first' };
+    }
+  }
+
+  quiz.status = status;
+  if (action === 'publish') quiz.published_at = now;
+  if (action === 'close') quiz.closed_at = now;
+  if (action === 'reopen') quiz.closed_at = undefined;
+  if (action === 'archive') quiz.archived_at = now;
+  if (action === 'unarchive') quiz.archived_at = undefined;
+
+  return { from, to: quizState(quiz, now) };
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  quizState,
+  isVisibleToStudents,
+  isEditable,
+  startError,
+  applyTransition,
+};
@@ -0,0 +1,125 @@
+const { QuizVariant } = require('../models/models');
+
+/**
+ * Deterministic pseudo random numbers in [0, 1) for a string seed
+ * (FNV-1a hash fed into mulberry32), so a variant can always be rebuilt.
+ */
+function seededRandom(seed) {
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates on a copy
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function isRandomized(quiz) {
+  const randomization = quiz.randomization;
+  return Boolean(
+    randomization &&
+      (randomization.shuffle_questions ||
+        randomization.shuffle_options ||
+        (randomization.pools && randomization.pools.length > 0))
+  );
+}
+
+/**
+ * Picks and orders the questions of a quiz for one seed.
+ * Questions outside a drawn pool are always included; drawn questions keep
+ * their place in the quiz unless questions are shuffled as a whole.
+ */
+function buildVariant(quiz, seed) {
+  const random = seededRandom(seed);
+  const randomization = quiz.randomization || {};
+  const pools = new Map((randomization.pools || []).map((pool) => [pool.name, pool.draw]));
+
+  const drawn = new Set();
+  pools.forEach((draw, name) => {
+    const candidates = quiz.questions.filter((question) => question.pool === name);
+    shuffle(candidates, random)
+      .slice(0, draw)
+      .forEach((question) => drawn.add(question._id.toString()));
+  });
+
+  let questions = quiz.questions.filter(
+    (question) => !pools.has(question.pool) || drawn.has(question._id.toString())
+  );
+  if (randomization.shuffle_questions) questions = shuffle(questions, random);
+
+  return questions.map((question) => {
+    const optionIds = question.options.map((option) => option._id);
+    return {
+      question_id: question._id,
+      option_ids: randomization.shuffle_options ? shuffle(optionIds, random) : optionIds,
+    };
+  });
+}
+
+/**
+ * Questions of `quiz` as listed in `variant`, with options in variant order.
+ * Without a variant every question is returned as stored.
+ */
+function variantQuestions(quiz, variant) {
+  if (!variant) return quiz.questions;
+
+  return variant.questions
+    .map(({ question_id, option_ids }) => {
+      const question = quiz.questions.find((item) => item._id.equals(question_id));
+      if (!question) return null;
+
+      const copy = question.toObject ? question.toObject() : { ...question };
+      copy.options = option_ids
+        .map((optionId) => copy.options.find((option) => option._id.equals(optionId)))
+        .filter(Boolean);
+      return copy;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Returns the stored variant of a student's attempt, generating and
+ * recording it the first time. Quizzes without randomization have no
+ * variant (null).
+ */
+async function getOrCreateVariant(quiz, studentId, attempt = 1) {
+  if (!isRandomized(quiz)) return null;
+
+  const query = { quiz_id: quiz._id, student_id: studentId, attempt };
+  const existing = await QuizVariant.findOne(query);
+  if (existing) return existing;
+
+  const seed = `${quiz._id}:${studentId}:${attempt}`;
+  try {
+    return await QuizVariant.create({ ...query, seed, questions: buildVariant(quiz, seed) });
+  } catch (error) {
+    // another request created it first
+    if (error.code === 11000) {
+      return QuizVariant.findOne(query);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  seededRandom,
+  shuffle,
+  isRandomized,
+  buildVariant,
+  variantQuestions,
+  getOrCreateVariant,
+};
@@ -0,0 +1,217 @@
+const { Quiz, QuizAttempt, QuizVersion, StudentResponse } = require('../models/models');
+
+// Quiz fields kept in every version
+const VERSIONED_FIELDS = [
+  'quiz_name',
+  'start_date',
+  'duration',
+  'questions',
+  'scoring_policy',
+  'randomization',
+  'attempt_policy',
+  'release_policy',
+  'late_policy',
+];
+
+// Question fields compared by diffVersions
+const QUESTION_FIELDS = [
+  'question_text',
+  'question_type',
+  'options',
+  'is_multiple_choice',
+  'points',
+  'explanation',
+  'numeric_answer',
+  'text_answer',
+  'pool',
+];
+
+const plain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const currentVersion = (quiz) => quiz.version || 1;
+
+// documents written before versioning have no quiz_version and belong to version 1
+const versionFilter = (version) => (version === 1 ? { $in: [1, null] } : version);
+
+/**
+ * Whether students started or submitted the current version of a quiz.
+ */
+async function isVersionInUse(quiz) {
+  const filter = { quiz_id: quiz._id, quiz_version: versionFilter(currentVersion(quiz)) };
+  return Boolean((await StudentResponse.exists(filter)) || (await QuizAttempt.exists(filter)));
+}
+
+function snapshotQuiz(quiz) {
+  const snapshot = Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, plain(quiz[field])]));
+  return QuizVersion.updateOne(
+    { quiz_id: quiz._id, version: currentVersion(quiz) },
+    { $setOnInsert: snapshot },
+    { upsert: true }
+  );
+}
+
+/**
+ * To be called before changing a quiz. When students already answered the
+ * current version it is stored as an immutable QuizVersion and the quiz
+ * moves on to the next version; otherwise the quiz is edited in place.
+ * Resolves to true when a new version was started.
+ */
+async function prepareEdit(quiz) {
+  if (!(await isVersionInUse(quiz))) return false;
+
+  await snapshotQuiz(quiz);
+  quiz.version = currentVersion(quiz) + 1;
+  return true;
+}
+
+// the existing item each item replaces: the one with its _id, otherwise
+// the first one left with the same text
+function matchItems(existing, items, textField) {
+  const unclaimed = new Map(existing.map((item) => [String(item._id), item]));
+  const claim = (item) => {
+    unclaimed.delete(String(item._id));
+    return item;
+  };
+  const byId = items.map((item) => (item && item._id != null && unclaimed.has(String(item._id))
+    ? claim(unclaimed.get(String(item._id)))
+    : null));
+  return items.map((item, index) => {
+    if (byId[index] || !item) return byId[index];
+    const same = [...unclaimed.values()].find((candidate) => candidate[textField] === item[textField]);
+    return same ? claim(same) : null;
+  });
+}
+
+// items with the _id of the existing item they replace, ids that do not
+// belong to an existing item are dropped
+function withIds(items, matches) {
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object') return item;
+    const { _id, ...rest } = item;
+    return matches[index] ? { ...rest, _id: matches[index]._id } : rest;
+  });
+}
+
+/**
+ * Questions sent to replace those of a quiz, with the ids of the questions
+ * and options they replace so that stored answers, results and versions
+ * keep pointing at them. Questions and options are matched by the `_id`
+ * they were sent with, then by text; the others get new ids.
+ */
+function keepQuestionIds(current, incoming) {
+  const existing = (current || []).map(plain);
+  const matches = matchItems(existing, incoming, 'question_text');
+  return withIds(incoming, matches).map((question, index) => {
+    if (!question || !Array.isArray(question.options)) return question;
+    const options = matches[index] ? matches[index].options || [] : [];
+    return { ...question, options: withIds(question.options, matchItems(options, question.options, 'option_text')) };
+  });
+}
+
+/**
+ * The quiz as it was at `version`, as an unsaved Quiz document with the
+ * quiz's own _id. The quiz itself for its current version, or when the
+ * version was never stored.
+ */
+async function quizAtVersion(quiz, version) {
+  if (!version || version === currentVersion(quiz)) return quiz;
+
+  const snapshot = await QuizVersion.findOne({ quiz_id: quiz._id, version });
+  if (!snapshot) return quiz;
+
+  const fields = Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, plain(snapshot[field])]));
+  return new Quiz({ ...plain(quiz), ...fields, _id: quiz._id, version });
+}
+
+/**
+ * Stored versions of a quiz followed by the current one, oldest first.
+ */
+async function listVersions(quiz) {
+  const stored = await QuizVersion.find({ quiz_id: quiz._id }).sort({ version: 1 });
+  return [
+    ...stored.filter((snapshot) => snapshot.version !== currentVersion(quiz)),
+    Object.assign(plain(quiz), { version: currentVersion(quiz), current: true }),
+  ];
+}
+
+// comparable form of a question field, without generated ids
+function comparable(value) {
+  return JSON.stringify(plain(value), (key, item) => (key === '_id' ? undefined : item));
+}
+
+function questionChanges(from, to) {
+  return QUESTION_FIELDS.filter((field) => comparable(from[field]) !== comparable(to[field]));
+}
+
+const questionSummary = (question) => ({ question_id: question._id, question_text: question.question_text });
+
+/**
+ * Differences between two versions of a quiz (documents or plain objects
+ * with the VERSIONED_FIELDS). Questions are matched by id, then by text
+ * for questions whose id was regenerated by an edit.
+ */
+function diffVersions(from, to) {
+  const settings = VERSIONED_FIELDS
+    .filter((field) => field !== 'questions' && comparable(from[field]) !== comparable(to[field]))
+    .map((field) => ({ field, from: plain(from[field]), to: plain(to[field]) }));
+
+  const fromQuestions = (from.questions || []).map(plain);
+  const toQuestions = (to.questions || []).map(plain);
+  const unmatched = new Map(fromQuestions.map((question) => [String(question._id), question]));
+  const pairs = [];
+  const added = [];
+
+  toQuestions.forEach((question) => {
+    const id = String(question._id);
+    if (unmatched.has(id)) {
+      pairs.push([unmatched.get(id), question]);
+      unmatched.delete(id);
+    } else {
+      added.push(question);
+    }
+  });
+  [...added].forEach((question) => {
+    const same = [...unmatched.values()].find((candidate) => candidate.question_text === question.question_text);
+    if (!same) return;
+    pairs.push([same, question]);
+    unmatched.delete(String(same._id));
+    added.splice(added.indexOf(question), 1);
+  });
+
+  const changed = pairs
+    .map(([before, after]) => ({
+      ...questionSummary(after),
+      previous_question_id: before._id,
+      fields: questionChanges(before, after),
+    }))
+    .filter((change) => change.fields.length > 0);
+
+  // kept questions appear in a different order
+  const fromIndex = new Map(fromQuestions.map((question, index) => [question, index]));
+  const pairedFrom = new Map(pairs.map(([before, after]) => [after, before]));
+  const keptOrder = toQuestions
+    .filter((question) => pairedFrom.has(question))
+    .map((question) => fromIndex.get(pairedFrom.get(question)));
+  const reordered = keptOrder.some((index, position) => position > 0 && index < keptOrder[position - 1]);
+
+  return {
+    from: from.version || 1,
+    to: to.version || 1,
+    settings,
+    questions: {
+      added: added.map(questionSummary),
+      removed: [...unmatched.values()].map(questionSummary),
+      changed,
+      reordered,
+    },
+  };
+}
+
+module.exports = {
+  isVersionInUse,
+  prepareEdit,
+  quizAtVersion,
+  keepQuestionIds,
+  listVersions,
+  diffVersions,
+};
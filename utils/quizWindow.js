@@ -0,0 +1,79 @@
+/**
+ * Time window in which a quiz can be started: from start_date for
+ * `duration` minutes. `end` is null when the quiz has no duration.
+ * A student's `accommodation` may move the window with its own
+ * start_date and end_date.
+ */
+function quizWindow(quiz, accommodation) {
+  const { start_date: startDate, end_date: endDate } = accommodation || {};
+  const start = startDate || quiz.start_date ? new Date(startDate || quiz.start_date) : null;
+  let end = null;
+  if (endDate) {
+    end = new Date(endDate);
+  } else if (start && quiz.duration != null) {
+    end = new Date(start.getTime() + quiz.duration * 60000);
+  }
+
+  return { start, end };
+}
+
+/**
+ * Minutes an attempt lasts, null when the quiz has no duration. An
+ * accommodation multiplies the duration and/or adds extra minutes.
+ */
+function attemptMinutes(quiz, accommodation) {
+  if (quiz.duration == null) return null;
+  const { duration_multiplier: multiplier, extra_minutes: extra } = accommodation || {};
+  return quiz.duration * (multiplier || 1) + (extra || 0);
+}
+
+/**
+ * Minutes after the end of the window in which students may still start
+ * or submit: the grace period and late window of the quiz late_policy.
+ */
+function lateAllowance(quiz) {
+  const policy = quiz.late_policy || {};
+  return (policy.grace_minutes || 0) + (policy.late_window_minutes || 0);
+}
+
+/**
+ * "not_started", "open", "late" (within the late allowance) or "passed"
+ * for the given moment.
+ */
+function windowState(quiz, now = new Date(), accommodation) {
+  const { start, end } = quizWindow(quiz, accommodation);
+
+  if (start && now < start) return 'not_started';
+  if (end && now > end) {
+    return now.getTime() <= end.getTime() + lateAllowance(quiz) * 60000 ? 'late' : 'passed';
+  }
+  return 'open';
+}
+
+/**
+ * Moment after which nobody can submit any more: an attempt started at the
+ * very end of the window, late allowance included, still runs for its
+ * whole duration.
+ */
+function closesAt(quiz, accommodation) {
+  const { end } = quizWindow(quiz, accommodation);
+  const minutes = lateAllowance(quiz) + (attemptMinutes(quiz, accommodation) || 0);
+  return end ? new Date(end.getTime() + minutes * 60000) : null;
+}
+
+/**
+ * closesAt for the last student to finish, given every accommodation of
+ * the quiz. Null when the quiz never closes.
+ */
+function lastClosesAt(quiz, accommodations = []) {
+  const moments = [closesAt(quiz), ...accommodations.map((accommodation) => closesAt(quiz, accommodation))];
+  if (moments.some((moment) => !moment)) return null;
+  return new Date(Math.max(...moments.map((moment) => moment.getTime())));
+}
+
+const WINDOW_ERRORS = {
+  not_started: 'Forbidden - Quiz has not started',
+  passed: 'Forbidden - Quiz has already passed',
+};
+
+module.exports = { quizWindow, attemptMinutes, lateAllowance, windowState, closesAt, lastClosesAt, WINDOW_ERRORS };
@@ -0,0 +1,185 @@
+/**
+ * Regrading re-runs the grading of every stored submission of a quiz after
+ * its answer key was corrected. Each submission is graded against the
+ * current version of the questions it was given, with the current scoring
+ * policy, grading overrides and late policy. Essay scores given by the
+ * teacher are kept.
+ */
+
+const { QuizVariant, StudentResponse, StudentResult } = require('../models/models');
+const { gradeResponses, summarize } = require('./calculateResult');
+const { applyLatePenalty } = require('./latePolicy');
+const { variantQuestions } = require('./quizVariant');
+const { quizAtVersion } = require('./quizVersions');
+
+const OVERRIDE_ACTIONS = ['full_credit', 'drop'];
+
+/**
+ * Validates grading overrides sent by a client against the quiz questions.
+ * Returns `{ overrides }` or `{ error }`.
+ */
+function parseOverrides(overrides, quiz) {
+  if (!Array.isArray(overrides)) {
+    return { error: 'overrides must be an array' };
+  }
+
+  const questionIds = new Set(quiz.questions.map((question) => String(question._id)));
+  const parsed = new Map();
+  for (const override of overrides) {
+    const { question_id: questionId, action } = override || {};
+    if (!questionIds.has(String(questionId))) {
+      return { error: `Question ${questionId} not found in quiz` };
+    }
+    if (!OVERRIDE_ACTIONS.includes(action)) {
+      return { error: `action must be one of ${OVERRIDE_ACTIONS.join(', ')}` };
+    }
+    parsed.set(String(questionId), { question_id: questionId, action });
+  }
+
+  return { overrides: [...parsed.values()] };
+}
+
+/**
+ * The questions a submission was given, each replaced by the current
+ * question with the same id when the quiz still has it.
+ */
+function correctedQuestions(answered, current) {
+  const byId = new Map(current.map((question) => [String(question._id), question]));
+  return answered.map((question) => byId.get(String(question._id)) || question);
+}
+
+/**
+ * New score of a result, without touching the database. Essay answers
+ * the teacher already graded keep their score unless an override applies.
+ */
+function regradeResult(result, questions, responses, {
+  scoring_policy: policy,
+  grading_overrides: overrides,
+  late_policy: latePolicy,
+} = {}) {
+  const previous = new Map((result.breakdown || []).map((entry) => [String(entry.question_id), entry]));
+  const { breakdown } = gradeResponses(questions, responses, policy, overrides);
+
+  const merged = breakdown.map((entry, index) => {
+    const old = previous.get(String(entry.question_id));
+    if (questions[index].question_type !== 'essay' || entry.override || !old || !old.graded_at) return entry;
+
+    const pointsAwarded = Math.min(old.points_awarded, entry.points_possible);
+    return {
+      ...entry,
+      points_awarded: pointsAwarded,
+      is_correct: pointsAwarded === entry.points_possible,
+      needs_grading: false,
+      comment: old.comment,
+      graded_at: old.graded_at,
+    };
+  });
+
+  return { ...applyLatePenalty(summarize(merged), latePolicy, result.late_minutes), breakdown: merged };
+}
+
+const entryKey = (entry) => JSON.stringify([
+  String(entry.question_id),
+  entry.points_awarded,
+  entry.points_possible,
+  Boolean(entry.is_correct),
+  Boolean(entry.needs_grading),
+  entry.override || null,
+]);
+
+function hasChanged(result, regraded) {
+  return result.score !== regraded.score
+    || result.out_of !== regraded.out_of
+    || result.status !== regraded.status
+    || (result.breakdown || []).map(entryKey).join() !== regraded.breakdown.map(entryKey).join();
+}
+
+function findResponse(result) {
+  if (result.response_id) return StudentResponse.findById(result.response_id);
+  // results stored before response_id existed, one attempt per student
+  const studentId = result.student_id && result.student_id._id ? result.student_id._id : result.student_id;
+  return StudentResponse.findOne({ student_id: studentId, quiz_id: result.quiz_id });
+}
+
+/**
+ * Regrades every result of a quiz in memory. `overrides` replace the quiz
+ * grading_overrides. Resolves to `{ changes, unchanged, skipped }`;
+ * `changes` pairs each StudentResult with its new score, `skipped` lists
+ * results whose answers are not stored.
+ */
+async function planRegrade(quiz, overrides = quiz.grading_overrides) {
+  const results = await StudentResult.find({ quiz_id: quiz._id })
+    .sort({ submitted_at: 1 })
+    .populate('student_id', 'full_name');
+  const versions = new Map();
+  const changes = [];
+  const skipped = [];
+  let unchanged = 0;
+
+  for (const result of results) {
+    const response = await findResponse(result);
+    if (!response) {
+      skipped.push(result._id);
+      continue;
+    }
+
+    const version = response.quiz_version || 1;
+    if (!versions.has(version)) versions.set(version, await quizAtVersion(quiz, version));
+    const variant = response.variant_id ? await QuizVariant.findById(response.variant_id) : null;
+
+    const questions = correctedQuestions(variantQuestions(versions.get(version), variant), quiz.questions);
+    const regraded = regradeResult(result, questions, response.responses, {
+      scoring_policy: quiz.scoring_policy,
+      grading_overrides: overrides,
+      late_policy: quiz.late_policy,
+    });
+
+    if (hasChanged(result, regraded)) changes.push({ result, regraded });
+    else unchanged++;
+  }
+
+  return { changes, unchanged, skipped };
+}
+
+/**
+ * Stores the new scores of a plan, keeping the old ones in score_history.
+ */
+async function commitRegrade(plan, reason = 'regrade', now = new Date()) {
+  for (const { result, regraded } of plan.changes) {
+    result.score_history.push({
+      score: result.score,
+      out_of: result.out_of,
+      status: result.status,
+      changed_at: now,
+      reason,
+    });
+    Object.assign(result, regraded, { regraded_at: now });
+    await result.save();
+  }
+}
+
+/**
+ * One line of the regrade preview.
+ */
+function describeChange({ result, regraded }) {
+  return {
+    result_id: result._id,
+    student: result.student_id,
+    attempt: result.attempt || 1,
+    previous: { score: result.score, out_of: result.out_of, status: result.status },
+    score: regraded.score,
+    out_of: regraded.out_of,
+    status: regraded.status,
+    difference: Math.round((regraded.score - result.score) * 100) / 100,
+  };
+}
+
+module.exports = {
+  OVERRIDE_ACTIONS,
+  parseOverrides,
+  correctedQuestions,
+  regradeResult,
+  planRegrade,
+  commitRegrade,
+  describeChange,
+};
@@ -0,0 +1,33 @@
+const { lastClosesAt } = require('./quizWindow');
+
+/**
+ * Whether students may see their score ("score") or the full review of
+ * their answers ("review") following the quiz release_policy. Releasing the
+ * review always releases the score too. "after_close" waits for the
+ * students with `accommodations` that make them finish later, or for the
+ * teacher to close the quiz, the only way a quiz without a duration closes.
+ */
+function isReleased(quiz, kind, now = new Date(), accommodations = []) {
+  const policy = quiz.release_policy || {};
+  const setting = policy[kind] || (kind === 'score' ? 'immediately' : 'after_close');
+
+  if (kind === 'score' && setting !== 'immediately' && isReleased(quiz, 'review', now, accommodations)) {
+    return true;
+  }
+
+  switch (setting) {
+    case 'immediately':
+      return true;
+    case 'after_close': {
+      if (['closed', 'archived'].includes(quiz.status)) return true;
+      const closed = lastClosesAt(quiz, accommodations);
+      return Boolean(closed) && now > closed;
+    }
+    case 'on_date':
+      return Boolean(policy.release_date) && now >= policy.release_date;
+    default:
+      return false;
+  }
+}
+
+module.exports = { isReleased };
@@ -0,0 +1,60 @@
+const { questionHtml, optionHtml } = require('./richText');
+
+/**
+ * Question by question review of one graded attempt: what the student
+ * answered, what the answer key says and the points they got.
+ * `questions` are the questions the student was shown (their variant).
+ */
+function buildReview(questions, studentResponse, result) {
+  const answers = new Map(
+    ((studentResponse && studentResponse.responses) || []).map((response) => [
+      String(response.question_id),
+      response,
+    ])
+  );
+  const grades = new Map(
+    ((result && result.breakdown) || []).map((entry) => [String(entry.question_id), entry])
+  );
+
+  const reviewQuestions = questions.map((question) => {
+    const id = question._id.toString();
+    const answer = answers.get(id);
+    const grade = grades.get(id) || {};
+    const selected = ((answer && answer.selected_options) || []).map(String);
+
+    return {
+      question_id: question._id,
+      question_text: question.question_text,
+      question_html: questionHtml(question),
+      question_type: question.question_type || 'choice',
+      options: (question.options || []).map((option) => ({
+        _id: option._id,
+        option_text: option.option_text,
+        option_html: optionHtml(option),
+        is_correct: option.is_correct,
+        feedback: option.feedback,
+        selected: selected.includes(option._id.toString()),
+      })),
+      selected_options: selected,
+      answer: answer ? answer.answer : undefined,
+      numeric_answer: question.numeric_answer,
+      text_answer: question.text_answer,
+      explanation: question.explanation,
+      points_awarded: grade.points_awarded || 0,
+      points_possible: grade.points_possible ?? question.points ?? 1,
+      is_correct: Boolean(grade.is_correct),
+      needs_grading: Boolean(grade.needs_grading),
+      comment: grade.comment,
+    };
+  });
+
+  return {
+    attempt: result ? result.attempt : undefined,
+    score: result ? result.score : undefined,
+    out_of: result ? result.out_of : undefined,
+    status: result ? result.status : undefined,
+    questions: reviewQuestions,
+  };
+}
+
+module.exports = { buildReview };
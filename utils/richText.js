@@ -0,0 +1,212 @@
+/**
+ * Question and option texts are Markdown with LaTeX math: `$...$` or
+ * `\(...\)` inline, `$$...$$` or `\[...\]` on their own lines. The source
+ * is stored as written and rendered once to HTML that is safe to insert
+ * in a page: raw HTML in the source is escaped, and the output of the
+ * Markdown and math renderers goes through an allowlist sanitizer.
+ */
+
+const MarkdownIt = require('markdown-it');
+const katex = require('katex');
+const sanitizeHtml = require('sanitize-html');
+
+const renderMath = (tex, displayMode) => katex.renderToString(tex, {
+  displayMode,
+  throwOnError: false,
+  trust: false,
+  maxExpand: 500,
+  maxSize: 20,
+});
+
+// "$$ ... $$" or "\[ ... \]" blocks, possibly spanning several lines
+function mathBlock(state, startLine, endLine, silent) {
+  const lineText = (line) => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]);
+  const first = lineText(startLine);
+  const open = ['$$', '\\['].find((marker) => first.startsWith(marker));
+  if (!open) return false;
+  const close = open === '$$' ? '$$' : '\\]';
+
+  let content = first.slice(open.length);
+  let line = startLine;
+  let found = content.trimEnd().endsWith(close);
+  if (found) {
+    content = content.trimEnd().slice(0, -close.length);
+  } else if (content.includes(close)) {
+    // "$$x$$ and more" is inline math within a paragraph
+    return false;
+  } else {
+    while (++line < endLine) {
+      const text = lineText(line);
+      if (text.trimEnd().endsWith(close)) {
+        content += `\n${text.trimEnd().slice(0, -close.length)}`;
+        found = true;
+        break;
+      }
+      content += `\n${text}`;
+    }
+  }
+  if (!found) return false;
+  if (silent) return true;
+
+  const token = state.push('math_block', 'math', 0);
+  token.content = content.trim();
+  token.map = [startLine, line + 1];
+  token.block = true;
+  state.line = line + 1;
+  return true;
+}
+
+// "$...$" or "\(...\)", and "$$...$$" within a line as display math; a
+// "$" followed by a space, or a closing "$" followed by a digit, is taken
+// as a currency amount, not math
+function mathInline(state, silent) {
+  const { src, pos } = state;
+  let open;
+  let close;
+  if (src.startsWith('$$', pos)) {
+    open = '$$';
+    close = '$$';
+  } else if (src.startsWith('\\(', pos)) {
+    open = '\\(';
+    close = '\\)';
+  } else if (src[pos] === '$' && src[pos + 1] !== '$' && src[pos + 1] && !/\s/.test(src[pos + 1])) {
+    open = '$';
+    close = '$';
+  } else {
+    return false;
+  }
+
+  let end = src.indexOf(close, pos + open.length);
+  while (end !== -1 && src[end - 1] === '\\') end = src.indexOf(close, end + 1);
+  if (end === -1) return false;
+  if (open === '$' && (/\s/.test(src[end - 1]) || /\d/.test(src[end + 1] || ''))) return false;
+
+  if (!silent) {
+    const token = state.push('math_inline', 'math', 0);
+    token.content = src.slice(pos + open.length, end);
+    token.meta = { display: open === '$$' };
+  }
+  state.pos = end + close.length;
+  return true;
+}
+
+const markdown = new MarkdownIt({ html: false, linkify: true, breaks: true });
+markdown.block.ruler.before('fence', 'math_block', mathBlock, { alt: ['paragraph'] });
+markdown.inline.ruler.before('escape', 'math_inline', mathInline);
+markdown.renderer.rules.math_block = (tokens, index) => `<div class="math-block">${renderMath(tokens[index].content, true)}</div>\n`;
+markdown.renderer.rules.math_inline = (tokens, index) => renderMath(tokens[index].content, tokens[index].meta.display);
+
+const LENGTH = /^-?\d*\.?\d+(?:em|ex|px|%)?$/;
+const COLOR = /^(?:#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i;
+const MATHML_TAGS = [
+  'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'msup', 'msub',
+  'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mtable', 'mtr', 'mtd',
+  'mpadded', 'mphantom', 'mstyle', 'menclose',
+];
+const MATHML_ATTRIBUTES = [
+  'xmlns', 'display', 'encoding', 'mathvariant', 'stretchy', 'fence', 'separator', 'lspace', 'rspace',
+  'accent', 'accentunder', 'width', 'height', 'depth', 'voffset', 'linethickness', 'columnalign',
+  'columnspacing', 'rowspacing', 'minsize', 'maxsize', 'movablelimits', 'notation', 'scriptlevel',
+  'displaystyle', 'symmetric', 'largeop',
+];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'strong', 'em', 'del', 's', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'span', 'div', 'svg', 'path', 'line', ...MATHML_TAGS,
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style'],
+    span: ['class', 'style', 'aria-hidden'],
+    div: ['class'],
+    // KaTeX draws some stretchy delimiters and arrows as SVG
+    svg: ['xmlns', 'width', 'height', 'viewbox', 'preserveaspectratio', 'style'],
+    path: ['d'],
+    line: ['x1', 'x2', 'y1', 'y2', 'stroke-width'],
+    ...Object.fromEntries(MATHML_TAGS.map((tag) => [tag, MATHML_ATTRIBUTES])),
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowedStyles: {
+    '*': {
+      height: [LENGTH],
+      width: [LENGTH],
+      'min-width': [LENGTH],
+      top: [LENGTH],
+      'vertical-align': [LENGTH],
+      'margin-left': [LENGTH],
+      'margin-right': [LENGTH],
+      'padding-left': [LENGTH],
+      'border-bottom-width': [LENGTH],
+      'border-top-width': [LENGTH],
+      'border-right-width': [LENGTH],
+      color: [COLOR],
+      'background-color': [COLOR],
+      'text-align': [/^(?:left|right|center)$/],
+    },
+  },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer', target: '_blank' }),
+  },
+};
+
+/**
+ * Sanitized HTML of a Markdown and LaTeX source; an empty string for an
+ * empty source. Math that does not parse is shown as its source.
+ */
+function renderRichText(source) {
+  if (source == null || source === '') return '';
+  return sanitizeHtml(markdown.render(String(source)), SANITIZE_OPTIONS).trim();
+}
+
+/**
+ * Same as renderRichText for texts that are a single line, e.g. options:
+ * the output is not wrapped in a paragraph.
+ */
+function renderInlineRichText(source) {
+  if (source == null || source === '') return '';
+  return sanitizeHtml(markdown.renderInline(String(source)), SANITIZE_OPTIONS).trim();
+}
+
+// MathML next to the LaTeX source, and KaTeX's HTML rendering of it
+const MATH_PRESENTATION = new Set(MATHML_TAGS.filter((tag) => !['math', 'semantics', 'annotation'].includes(tag)));
+
+// the input is HTML rendered by renderRichText, already within these tags
+const TEXT_OPTIONS = {
+  allowedTags: SANITIZE_OPTIONS.allowedTags,
+  allowedAttributes: { '*': ['class'] },
+  exclusiveFilter: (frame) => MATH_PRESENTATION.has(frame.tag)
+    || (frame.tag === 'span' && /\bkatex-html\b/.test(frame.attribs.class || '')),
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+/**
+ * Plain text of rendered HTML for output that cannot show HTML, e.g. PDF:
+ * blocks and line breaks become new lines, math is shown as its source.
+ */
+function htmlToText(html) {
+  if (html == null || html === '') return '';
+  return sanitizeHtml(String(html), TEXT_OPTIONS)
+    .replace(/<br\s*\/?>|<\/(?:p|div|li|tr|h[1-6]|blockquote|pre)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, (entity) => ENTITIES[entity])
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+/**
+ * Stored HTML of a question or option, rendered on the fly for documents
+ * saved before texts were rendered.
+ */
+const questionHtml = (question) => question.question_html ?? renderRichText(question.question_text);
+const optionHtml = (option) => option.option_html ?? renderInlineRichText(option.option_text);
+
+module.exports = { renderRichText, renderInlineRichText, htmlToText, questionHtml, optionHtml };
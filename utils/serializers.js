@@ -0,0 +1,93 @@
+/**
+ * Role-aware views of quizzes, results and classes. The owning teacher
+ * gets the full document, everybody else the "student" view without
+ * answer keys, other students' data or internal fields.
+ */
+
+const { questionHtml, optionHtml } = require('./richText');
+
+// Parts of a question that give the answer away
+const QUESTION_KEY_FIELDS = ['numeric_answer', 'text_answer', 'explanation', 'bank_question_id', 'pool'];
+const OPTION_KEY_FIELDS = ['is_correct', 'feedback'];
+const QUIZ_INTERNAL_FIELDS = ['__v', 'randomization', 'grading_overrides'];
+const RESULT_INTERNAL_FIELDS = ['__v', 'response_id', 'variant_id'];
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : { ...doc });
+
+const omit = (object, fields) => {
+  const copy = { ...object };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+/**
+ * "teacher" when the user teaches the class, "student" otherwise.
+ */
+function audienceFor(user, cls) {
+  return user && user.role === 'teacher' && cls && cls.teacher_id && cls.teacher_id.equals(user.id)
+    ? 'teacher'
+    : 'student';
+}
+
+function withHtml(question) {
+  const plain = toPlain(question);
+  return {
+    ...plain,
+    question_html: questionHtml(plain),
+    options: (plain.options || []).map((option) => {
+      const plainOption = toPlain(option);
+      return { ...plainOption, option_html: optionHtml(plainOption) };
+    }),
+  };
+}
+
+function serializeQuestion(question, audience) {
+  const plain = withHtml(question);
+  if (audience === 'teacher') return plain;
+
+  return {
+    ...omit(plain, QUESTION_KEY_FIELDS),
+    options: plain.options.map((option) => omit(option, OPTION_KEY_FIELDS)),
+  };
+}
+
+/**
+ * `questions` replaces the stored questions, e.g. with a student's variant.
+ */
+function serializeQuiz(quiz, audience, questions) {
+  const plain = toPlain(quiz);
+  const quizQuestions = (questions || quiz.questions || []).map((question) =>
+    serializeQuestion(question, audience)
+  );
+
+  if (audience === 'teacher') return { ...plain, questions: quizQuestions };
+  return { ...omit(plain, QUIZ_INTERNAL_FIELDS), questions: quizQuestions };
+}
+
+function serializeResult(result, audience) {
+  const plain = toPlain(result);
+  return audience === 'teacher' ? plain : omit(plain, RESULT_INTERNAL_FIELDS);
+}
+
+/**
+ * Students see how many classmates they have but not who they are.
+ */
+function serializeClass(cls, audience) {
+  const plain = toPlain(cls);
+  const quizzes = (plain.quizzes || []).map((quiz) => serializeQuiz(quiz, audience));
+
+  if (audience === 'teacher') return { ...plain, quizzes };
+  return {
+    ...omit(plain, ['__v', 'students']),
+    student_count: (plain.students || []).length,
+    quizzes,
+  };
+}
+
+module.exports = {
+  audienceFor,
+  serializeQuestion,
+  serializeQuiz,
+  serializeResult,
+  serializeClass,
+};
@@ -0,0 +1,35 @@
+/**
+ * Where uploaded media are kept. A backend is an object with
+ *
+ * - save(key, buffer, { contentType }): Promise
+ * - read(key): Promise<Buffer>
+ * - remove(key): Promise, resolving even when the key does not exist
+ *
+ * MEDIA_STORAGE picks a registered backend, "local" by default; other
+ * backends (e.g. object storage) are added with registerStorage.
+ */
+
+const createLocalStorage = require('./local');
+
+const factories = { local: createLocalStorage };
+let current = null;
+
+function registerStorage(name, factory) {
+  factories[name] = factory;
+}
+
+function getStorage() {
+  if (!current) {
+    const name = process.env.MEDIA_STORAGE || 'local';
+    if (!factories[name]) throw new Error(`Unknown media storage "${name}"`);
+    current = factories[name]();
+  }
+  return current;
+}
+
+// replaces the backend in use, e.g. with a temporary directory in tests
+function setStorage(storage) {
+  current = storage;
+}
+
+module.exports = { registerStorage, getStorage, setStorage };
@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'uploads');
+
+/**
+ * Storage backend keeping files on the local disk under `root`
+ * (MEDIA_ROOT, or uploads/ in the project directory).
+ */
+function createLocalStorage({ root = process.env.MEDIA_ROOT || DEFAULT_ROOT } = {}) {
+  const base = path.resolve(root);
+
+  // keys are generated by the server, but never leave the storage root
+  const fileFor = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    async save(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+
+    read(key) {
+      return fs.readFile(fileFor(key));
+    },
+
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+module.exports = createLocalStorage;
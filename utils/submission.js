@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { StudentResponse } = require('../models/models');
+const calculateAndStoreResults = require('./calculateResult');
+const { variantQuestions } = require('./quizVariant');
+
+/**
+ * Stores the answers of one attempt as a StudentResponse and grades them
+ * against the questions of the student's variant. `quiz` is the version of
+ * the quiz the student answered, see quizAtVersion. `lateMinutes` is how
+ * late the attempt was, see utils/latePolicy.js.
+ */
+async function storeSubmission({ quiz, studentId, attempt, variant, responses, lateMinutes = 0 }) {
+  const quizVersion = quiz.version || 1;
+  const studentResponse = new StudentResponse({
+    student_id: studentId,
+    quiz_id: quiz._id,
+    variant_id: variant ? variant._id : undefined,
+    attempt,
+    quiz_version: quizVersion,
+    responses,
+  });
+
+  await studentResponse.save();
+  const result = await calculateAndStoreResults(
+    studentId,
+    quiz,
+    responses,
+    {
+      response_id: studentResponse._id,
+      variant_id: studentResponse.variant_id,
+      attempt,
+      quiz_version: quizVersion,
+      late_minutes: lateMinutes,
+    },
+    variantQuestions(quiz, variant)
+  );
+
+  return { studentResponse, result, variant, quiz };
+}
+
+/**
+ * Validates answers sent by a client and normalizes them for storage.
+ * Choice questions send `selected_options`, free-answer questions `answer`.
+ * Returns `{ responses }` or `{ error }`.
+ */
+function parseResponses(responses) {
+  if (!Array.isArray(responses)) {
+    return { error: 'Invalid format for response' };
+  }
+
+  const parsed = [];
+  for (const response of responses) {
+    const { question_id, selected_options, answer } = response || {};
+    const hasAnswer = typeof answer === 'string' || typeof answer === 'number';
+
+    if (!question_id || (!Array.isArray(selected_options) && !hasAnswer)) {
+      return { error: 'Invalid format for response' };
+    }
+    // ids that are not ObjectIds would only fail when the answers are saved
+    if (!mongoose.isValidObjectId(question_id)) {
+      return { error: `Invalid question_id ${question_id}` };
+    }
+    const badOption = (selected_options || []).find((id) => !mongoose.isValidObjectId(id));
+    if (Array.isArray(selected_options) && badOption !== undefined) {
+      return { error: `Invalid option id ${badOption}` };
+    }
+
+    parsed.push({
+      question_id,
+      selected_options: Array.isArray(selected_options) ? selected_options : [],
+      answer: hasAnswer ? String(answer) : undefined,
+    });
+  }
+
+  return { responses: parsed };
+}
+
+/**
+ * Draft answers with `incoming` applied on top: an incoming answer replaces
+ * the saved answer to the same question, others are kept.
+ */
+function mergeResponses(saved, incoming) {
+  const merged = new Map(saved.map((response) => [String(response.question_id), response]));
+  incoming.forEach((response) => merged.set(String(response.question_id), response));
+  return [...merged.values()];
+}
+
+module.exports = { storeSubmission, parseResponses, mergeResponses };